@@ -0,0 +1,405 @@
+#!/usr/bin/env node
+// --- Procesamiento por lotes ---
+// Lee todos los recorridos de una carpeta y escribe, por archivo, un PNG del heatmap por
+// segmento (la actividad completa y las fases detectadas) y un JSON con sus estadísticas,
+// más un summary.csv con una fila por segmento. Los parámetros son los mismos de la aplicación.
+
+import { readdir, readFile, mkdir, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import { DOMParser } from "@xmldom/xmldom";
+import { parseTrackFile, TRACK_FILE_EXTENSIONS } from "../src/parsers.js";
+import { densityGrid, paletteFromStops, colorizeDensity } from "../src/density.js";
+import {
+  GPS_FILTERS, DEFAULT_GPS_FILTER, filterGpsPoints, processWithRawSpeed, diagnoseTrack, detectMatchPhases,
+  DEFAULT_SPEED_ZONES, computeSpeedZones, detectSprints, DEFAULT_ACCEL_THRESHOLDS, detectAccelEvents,
+  computeMechanicalLoad, computeSummary, HR_ZONES, DEFAULT_MAX_HR, hasChannel, computeHrStats,
+  HEATMAP_WEIGHTINGS, heatmapWeights, boundsOfPoints, DEFAULT_PITCH, buildPitchProjection,
+  orientedPoints, suggestSideSwitch, ZONE_GRIDS, DEFAULT_ZONE_GRID, zoneAreaGeometry,
+  computeZoneOccupancy, DEFAULT_HEATMAP_PARAMS, kernelSigma, mapFrame, densityJob, HEATMAP_PALETTES,
+  DEFAULT_HEATMAP_SCALE, DENSITY_UNITS,
+} from "../src/analysis.js";
+import { encodePng } from "./png.js";
+
+// Los parsers de GPX, TCX y KML usan el DOMParser del navegador. Sin avisos por consola: los
+// errores fatales igual cortan la lectura y el archivo se informa con el resto.
+globalThis.DOMParser = class extends DOMParser {
+  constructor() {
+    super({ onError: () => {} });
+  }
+};
+
+const USAGE = `Uso: npm run batch -- <carpeta> [opciones]
+
+  --out <carpeta>        Salida (por defecto <carpeta>/heatmaps)
+  --radius <dm>          Radio del kernel (${DEFAULT_HEATMAP_PARAMS.radius})
+  --blur <0-100>         Desenfoque (${DEFAULT_HEATMAP_PARAMS.blur})
+  --max-opacity <0-100>  Opacidad máxima (${DEFAULT_HEATMAP_PARAMS.maxOpacity})
+  --weighting <modo>     ${Object.keys(HEATMAP_WEIGHTINGS).join(" | ")} (${DEFAULT_HEATMAP_PARAMS.weighting})
+  --threshold <km/h>     Umbral de alta intensidad (${DEFAULT_HEATMAP_PARAMS.intensityThreshold})
+  --filter <filtro>      ${Object.keys(GPS_FILTERS).join(" | ")} (${DEFAULT_GPS_FILTER})
+  --frame <marco>        map | pitch: mapa o cancha estimada con el recorrido (map)
+  --pitch <LxA>          Medidas de la cancha en metros (${DEFAULT_PITCH.length}x${DEFAULT_PITCH.width})
+  --zones <grilla>       ${Object.keys(ZONE_GRIDS).filter((k) => k !== "custom").join(" | ")} o <columnas>x<filas> (${DEFAULT_ZONE_GRID.preset})
+  --max-hr <ppm>         FC máxima para las zonas cardíacas (${DEFAULT_MAX_HR})
+  --accel <m/s²,...>     Umbrales de aceleración (${DEFAULT_ACCEL_THRESHOLDS.join(",")})
+  --no-phases            Solo la actividad completa, sin detectar fases
+  --side-switch          Invertir el segundo tiempo si se detecta el cambio de lado
+  --background <#rrggbb> Fondo opaco para el PNG (por defecto transparente)
+  --palette <paleta>     ${Object.keys(HEATMAP_PALETTES).join(" | ")} (${DEFAULT_HEATMAP_SCALE.palette})
+  --scale-max <valor>    Tope común de la escala en unidades de la grilla (s/m² con dwell); por
+                         defecto cada PNG llega al color más intenso en su propio máximo
+
+Termina con código 1 si algún archivo no se pudo procesar.
+`;
+
+const CSV_COLUMNS = [
+  "archivo", "segmento", "invertido", "duracion_s", "distancia_km", "m_por_min", "vel_media_kmh",
+  "vel_max_kmh", "distancia_alta_vel_km", "sprints", "aceleraciones", "desaceleraciones",
+  "carga_mecanica", "fc_media", "fc_max", "calidad", "heatmap",
+];
+
+function fail(message) {
+  console.error(`${message}\n\n${USAGE}`);
+  process.exit(1);
+}
+
+function numberOption(values, key, fallback) {
+  if (values[key] === undefined) return fallback;
+  const value = parseFloat(values[key]);
+  if (isNaN(value)) fail(`--${key} debe ser un número`);
+  return value;
+}
+
+function choiceOption(values, key, choices, fallback) {
+  const value = values[key] ?? fallback;
+  if (!(value in choices)) fail(`--${key} debe ser uno de: ${Object.keys(choices).join(", ")}`);
+  return value;
+}
+
+// "105x68" -> [105, 68]
+function sizeOption(values, key, fallback) {
+  if (values[key] === undefined) return fallback;
+  const match = /^(\d+(?:\.\d+)?)x(\d+(?:\.\d+)?)$/i.exec(values[key]);
+  if (!match) fail(`--${key} debe tener la forma <ancho>x<alto>`);
+  return [parseFloat(match[1]), parseFloat(match[2])];
+}
+
+function readOptions(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        out: { type: "string" },
+        radius: { type: "string" },
+        blur: { type: "string" },
+        "max-opacity": { type: "string" },
+        weighting: { type: "string" },
+        threshold: { type: "string" },
+        filter: { type: "string" },
+        frame: { type: "string" },
+        pitch: { type: "string" },
+        zones: { type: "string" },
+        "max-hr": { type: "string" },
+        accel: { type: "string" },
+        "no-phases": { type: "boolean" },
+        "side-switch": { type: "boolean" },
+        background: { type: "string" },
+        palette: { type: "string" },
+        "scale-max": { type: "string" },
+        help: { type: "boolean", short: "h" },
+      },
+    });
+  } catch (error) {
+    fail(error.message);
+  }
+  const { values, positionals } = parsed;
+  if (values.help) {
+    console.log(USAGE);
+    process.exit(0);
+  }
+  if (positionals.length !== 1) fail("Falta la carpeta con los recorridos");
+
+  const [length, width] = sizeOption(values, "pitch", [DEFAULT_PITCH.length, DEFAULT_PITCH.width]);
+  const preset = ZONE_GRIDS[values.zones ?? DEFAULT_ZONE_GRID.preset];
+  const [cols, rows] = preset && preset.cols ? [preset.cols, preset.rows] : sizeOption(values, "zones", null);
+  if (!(Math.round(cols) >= 1 && Math.round(rows) >= 1)) fail("--zones necesita al menos 1 columna y 1 fila");
+  const accelThresholds = values.accel === undefined
+    ? DEFAULT_ACCEL_THRESHOLDS
+    : values.accel.split(",").map(parseFloat).sort((a, b) => a - b);
+  if (accelThresholds.some(isNaN)) fail("--accel debe ser una lista de números separados por coma");
+  if (values.background !== undefined && !/^#[0-9a-f]{6}$/i.test(values.background)) {
+    fail("--background debe ser un color #rrggbb");
+  }
+  if (values["scale-max"] !== undefined && !(parseFloat(values["scale-max"]) > 0)) {
+    fail("--scale-max debe ser un número positivo");
+  }
+
+  const dir = positionals[0];
+  return {
+    dir,
+    out: values.out ?? path.join(dir, "heatmaps"),
+    params: {
+      radius: numberOption(values, "radius", DEFAULT_HEATMAP_PARAMS.radius),
+      blur: numberOption(values, "blur", DEFAULT_HEATMAP_PARAMS.blur),
+      maxOpacity: numberOption(values, "max-opacity", DEFAULT_HEATMAP_PARAMS.maxOpacity),
+      weighting: choiceOption(values, "weighting", HEATMAP_WEIGHTINGS, DEFAULT_HEATMAP_PARAMS.weighting),
+      intensityThreshold: numberOption(values, "threshold", DEFAULT_HEATMAP_PARAMS.intensityThreshold),
+    },
+    filter: choiceOption(values, "filter", GPS_FILTERS, DEFAULT_GPS_FILTER),
+    frame: choiceOption(values, "frame", { map: true, pitch: true }, "map"),
+    pitch: { corners: null, length, width },
+    zoneGrid: { cols: Math.round(cols), rows: Math.round(rows) },
+    maxHr: numberOption(values, "max-hr", DEFAULT_MAX_HR),
+    accelThresholds,
+    phases: !values["no-phases"],
+    sideSwitch: !!values["side-switch"],
+    background: values.background ?? null,
+    palette: choiceOption(values, "palette", HEATMAP_PALETTES, DEFAULT_HEATMAP_SCALE.palette),
+    scaleMax: numberOption(values, "scale-max", null),
+  };
+}
+
+// Nombre de archivo sin tildes ni espacios
+function slug(text) {
+  return text.normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+}
+
+function csvField(value) {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const round = (value, digits = 2) => (value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits);
+
+// Mezcla los píxeles del heatmap sobre un fondo opaco
+function flattenOnto(pixels, hex) {
+  const bg = [1, 3, 5].map((i) => parseInt(hex.slice(i, i + 2), 16));
+  for (let i = 0; i < pixels.length; i += 4) {
+    const a = pixels[i + 3] / 255;
+    for (let c = 0; c < 3; c++) pixels[i + c] = pixels[i + c] * a + bg[c] * (1 - a);
+    pixels[i + 3] = 255;
+  }
+  return pixels;
+}
+
+// Marco del heatmap de todo el archivo (igual para todos sus segmentos), como heatmapFrame
+function fileFrame(points, oriented, opts) {
+  const sigma = kernelSigma(opts.params);
+  if (opts.frame === "pitch") {
+    const project = buildPitchProjection(opts.pitch, points);
+    if (!project) return null;
+    return {
+      width: opts.pitch.length,
+      height: opts.pitch.width,
+      sigma,
+      project: (p) => project(p.lat, p.lon),
+      bounds: null,
+    };
+  }
+  const [[south, west], [north, east]] = boundsOfPoints(oriented);
+  return mapFrame({ south, west, north, east }, sigma);
+}
+
+// Devuelve { png, densityMax } o null si el segmento no tiene puntos con peso
+function renderHeatmap(oriented, processedPoints, frame, startIdx, endIdx, opts) {
+  const weights = heatmapWeights(processedPoints, startIdx, endIdx, opts.params);
+  const points = oriented
+    .slice(startIdx, endIdx)
+    .map((p, i) => ({ ...p, weight: weights[i] }))
+    .filter((p) => p.weight > 0);
+  if (!points.length) return null;
+  const density = densityGrid(densityJob(points, frame));
+  const palette = paletteFromStops(HEATMAP_PALETTES[opts.palette].stops);
+  const pixels = colorizeDensity(density, palette, opts.scaleMax ?? density.max, opts.params.maxOpacity / 100);
+  return {
+    png: encodePng(opts.background ? flattenOnto(pixels, opts.background) : pixels, density.cols, density.rows),
+    densityMax: density.max,
+  };
+}
+
+function segmentStats(processedPoints, oriented, zoneContext, startIdx, endIdx, opts) {
+  const summary = computeSummary(processedPoints.slice(startIdx, endIdx));
+  const speedZones = computeSpeedZones(processedPoints, DEFAULT_SPEED_ZONES, startIdx, endIdx);
+  const sprints = detectSprints(
+    processedPoints, DEFAULT_SPEED_ZONES[DEFAULT_SPEED_ZONES.length - 1].min, startIdx, endIdx
+  );
+  const accelEvents = detectAccelEvents(processedPoints, opts.accelThresholds, startIdx, endIdx);
+  const load = computeMechanicalLoad(processedPoints, startIdx, endIdx);
+  const hr = hasChannel(processedPoints, "hr") ? computeHrStats(processedPoints, opts.maxHr, startIdx, endIdx) : null;
+  const zones = zoneContext
+    ? computeZoneOccupancy(
+        processedPoints, oriented, zoneContext.project, zoneContext.area,
+        opts.zoneGrid.cols, opts.zoneGrid.rows, startIdx, endIdx
+      )
+    : [];
+  const minutes = summary.duration / 60;
+  const highSpeedFrom = DEFAULT_SPEED_ZONES.findIndex((z) => z.min >= opts.params.intensityThreshold);
+
+  return {
+    durationSeconds: round(summary.duration, 0),
+    distanceKm: round(summary.distance, 3),
+    metersPerMinute: minutes > 0 ? round((summary.distance * 1000) / minutes, 1) : 0,
+    avgSpeedKmh: round(summary.avgSpeed, 1),
+    maxSpeedKmh: round(summary.maxSpeed, 1),
+    speedZones: speedZones.map((z) => ({
+      name: z.name, minKmh: z.min, distanceKm: round(z.distance, 3), seconds: round(z.seconds, 0),
+    })),
+    highSpeedDistanceKm: round(
+      speedZones.slice(highSpeedFrom === -1 ? speedZones.length : highSpeedFrom).reduce((acc, z) => acc + z.distance, 0), 3
+    ),
+    sprints: sprints.map((s) => ({
+      start: round(s.start, 0), duration: round(s.duration, 1), peakKmh: round(s.peak, 1), distanceKm: round(s.distance, 3),
+    })),
+    accelerations: accelEvents.filter((e) => e.type === "accel").length,
+    decelerations: accelEvents.filter((e) => e.type === "decel").length,
+    accelEvents: accelEvents.map((e) => ({
+      type: e.type, start: round(e.start, 0), duration: round(e.duration, 1), peak: round(e.peak), level: e.level,
+    })),
+    mechanicalLoad: {
+      load: round(load.load, 1),
+      decelLoad: round(load.decelLoad, 1),
+      perMinute: round(load.perMinute),
+      decelPerMinute: round(load.decelPerMinute),
+    },
+    heartRate: hr && hr.avg !== null
+      ? {
+          avg: round(hr.avg, 0),
+          max: hr.max,
+          zones: HR_ZONES.map((z, idx) => ({ name: z.name, seconds: round(hr.zoneSeconds[idx], 0) })),
+        }
+      : null,
+    zones: zones.map((z) => ({
+      number: z.number, name: z.name, seconds: round(z.seconds, 0), distanceM: round(z.distance, 0),
+      share: round(z.share, 3), avgSpeedKmh: round(z.avgSpeed, 1),
+    })),
+  };
+}
+
+// Devuelve { report, rows } o null si el archivo no es un recorrido legible
+async function processFile(filePath, opts) {
+  const fileName = path.basename(filePath);
+  const bytes = await readFile(filePath);
+  const parsed = await parseTrackFile({
+    name: fileName,
+    arrayBuffer: async () => bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength),
+  });
+  if (!parsed || !parsed.points.length) return null;
+
+  const points = filterGpsPoints(parsed.points, opts.filter);
+  const processedPoints = processWithRawSpeed(points, parsed.points);
+  if (processedPoints.length < 2) return null;
+
+  const segments = [
+    { label: "Actividad Completa", startIdx: 0, endIdx: points.length },
+    ...(opts.phases ? detectMatchPhases(processedPoints) : []),
+  ];
+  const sess = { points, segments, pitch: opts.frame === "pitch" ? opts.pitch : null };
+  if (opts.sideSwitch) {
+    const switchIdx = suggestSideSwitch(sess);
+    if (switchIdx !== null) segments[switchIdx] = { ...segments[switchIdx], mirrored: true };
+  }
+  const oriented = orientedPoints(sess);
+  const frame = fileFrame(points, oriented, opts);
+
+  // El área "recorrido" se mide sobre los puntos orientados, los mismos que se cuentan en las zonas
+  const area = opts.frame === "pitch"
+    ? zoneAreaGeometry({ area: "pitch" }, sess.pitch, points)
+    : zoneAreaGeometry({ area: "bounds" }, null, oriented);
+  const zoneProject = buildPitchProjection(area, points);
+  const zoneContext = zoneProject ? { area, project: zoneProject } : null;
+
+  // Sin una hora de inicio legible el archivo se procesa igual, con el inicio vacío
+  const startTime = parsed.startTime ? new Date(parsed.startTime) : null;
+  if (startTime && isNaN(startTime)) console.warn(`${fileName}: la hora de inicio no se puede leer, queda vacía`);
+
+  const quality = diagnoseTrack(parsed.points, parsed.dropped);
+  const base = fileName.replace(/\.[^.]+$/, "");
+  const report = {
+    file: fileName,
+    format: parsed.format,
+    startTime: startTime && !isNaN(startTime) ? startTime.toISOString() : null,
+    filter: opts.filter,
+    params: opts.params,
+    frame: opts.frame === "pitch"
+      ? { type: "pitch", length: opts.pitch.length, width: opts.pitch.width }
+      : { type: "map", bounds: frame.bounds },
+    zoneGrid: opts.zoneGrid,
+    scale: { palette: opts.palette, max: opts.scaleMax, unit: DENSITY_UNITS[opts.params.weighting] },
+    quality: { ...quality, level: quality.level.label },
+    segments: [],
+  };
+  const rows = [];
+
+  for (const [idx, seg] of segments.entries()) {
+    const endIdx = Math.min(seg.endIdx, points.length);
+    if (endIdx <= seg.startIdx) continue;
+    const rendered = frame ? renderHeatmap(oriented, processedPoints, frame, seg.startIdx, endIdx, opts) : null;
+    const heatmap = rendered ? `${base}-${idx}-${slug(seg.label)}.png` : null;
+    if (rendered) await writeFile(path.join(opts.out, heatmap), rendered.png);
+
+    const stats = segmentStats(processedPoints, oriented, zoneContext, seg.startIdx, endIdx, opts);
+    report.segments.push({
+      label: seg.label,
+      startIdx: seg.startIdx,
+      endIdx,
+      start: round(processedPoints[seg.startIdx].elapsedSeconds, 0),
+      end: round(processedPoints[endIdx - 1].elapsedSeconds, 0),
+      mirrored: !!seg.mirrored,
+      heatmap,
+      densityMax: rendered ? Number(rendered.densityMax.toPrecision(4)) : null,
+      ...stats,
+    });
+    rows.push([
+      fileName, seg.label, seg.mirrored ? "sí" : "no", stats.durationSeconds, stats.distanceKm,
+      stats.metersPerMinute, stats.avgSpeedKmh, stats.maxSpeedKmh, stats.highSpeedDistanceKm,
+      stats.sprints.length, stats.accelerations, stats.decelerations, stats.mechanicalLoad.load,
+      stats.heartRate?.avg, stats.heartRate?.max, quality.score, heatmap,
+    ]);
+  }
+
+  await writeFile(path.join(opts.out, `${base}.json`), JSON.stringify(report, null, 2));
+  return { report, rows };
+}
+
+async function main() {
+  const opts = readOptions(process.argv.slice(2));
+  const entries = await readdir(opts.dir, { withFileTypes: true }).catch((error) => fail(error.message));
+  const files = entries
+    .filter((e) => e.isFile() && TRACK_FILE_EXTENSIONS.some((ext) => e.name.toLowerCase().endsWith(ext)))
+    .map((e) => e.name)
+    .sort();
+  if (!files.length) fail(`No hay recorridos en ${opts.dir} (${TRACK_FILE_EXTENSIONS.join(", ")})`);
+  await mkdir(opts.out, { recursive: true });
+
+  const rows = [];
+  let failed = 0;
+  for (const name of files) {
+    try {
+      const result = await processFile(path.join(opts.dir, name), opts);
+      if (!result) {
+        console.warn(`${name}: formato no reconocido o sin puntos, se omite`);
+        failed++;
+        continue;
+      }
+      rows.push(...result.rows);
+      console.log(`${name}: ${result.report.segments.length} segmento(s)`);
+    } catch (error) {
+      console.error(`${name}: ${error.message}`);
+      failed++;
+    }
+  }
+
+  const csv = [CSV_COLUMNS, ...rows].map((row) => row.map(csvField).join(",")).join("\n");
+  await writeFile(path.join(opts.out, "summary.csv"), `${csv}\n`);
+  console.log(`${files.length - failed} de ${files.length} archivo(s) procesados en ${opts.out}`);
+  if (failed) process.exitCode = 1; // Un lote parcial también tiene que notarse en un script
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -1,190 +1,528 @@
-import React, { useEffect, useRef, useState } from "react";
-import { parseString } from "xml2js";
-import { promisify } from "util";
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import { renderToStaticMarkup } from "react-dom/server";
 import L, { LatLngBounds } from "leaflet";
 import {
   MapContainer,
   TileLayer,
   ImageOverlay,
+  CircleMarker,
+  Marker,
+  Polygon,
+  Polyline,
+  LayerGroup,
+  Tooltip as MapTooltip,
   useMap,
+  useMapEvents,
   LayersControl,
 } from "react-leaflet";
 import {
   LineChart,
   Line,
+  BarChart,
+  Bar,
   XAxis,
   YAxis,
   CartesianGrid,
   Tooltip,
   Legend,
+  ReferenceArea,
+  ReferenceLine,
+  ReferenceDot,
   ResponsiveContainer,
 } from "recharts";
 import "leaflet/dist/leaflet.css";
+import { parseTrackFile, TRACK_FILE_EXTENSIONS } from "./parsers.js";
+import { densityGrid, paletteFromStops, colorizeDensity } from "./density.js";
+import { buildReportCanvas, canvasToBlob, canvasToPdfBlob, downloadBlob } from "./report.js";
+import {
+  STORED_FIELDS,
+  toStoredSession,
+  sameStoredContent,
+  putStoredSession,
+  getStoredSessions,
+  getStoredSession,
+  deleteStoredSession,
+} from "./sessionStore.js";
+import { GEOCODERS, loadSettings, saveSettings, activeTileProviders } from "./mapSettings.js";
+import { SESSION_FILE_EXTENSIONS, canGzip, sessionFileBlob, readSessionFile } from "./sessionFile.js";
+import { configureGeocoder, reverseGeocode, clearGeocodeCache, geocodeCacheSize } from "./geocoder.js";
+import {
+  GPS_FILTERS, DEFAULT_GPS_FILTER, filterGpsPoints, processWithRawSpeed, DEFAULT_GAP_SECONDS,
+  withReadableTimes, diagnoseTrack, formatElapsed, parseElapsed, indexAtElapsed, detectMatchPhases,
+  DEFAULT_SPEED_ZONES, speedZoneIndex, computeSpeedZones, detectSprints, DEFAULT_ACCEL_THRESHOLDS,
+  detectAccelEvents, computeMechanicalLoad, computeSummary, WORK_RATE_HIGH_SPEED_KMH,
+  WORK_RATE_BLOCK_MINUTES, rangeWorkload, workRateBlocks, mechanicalLoadBlocks, fatigueComparison,
+  HR_ZONES, DEFAULT_MAX_HR, hasChannel, computeHrStats, HEATMAP_WEIGHTINGS, MAX_DWELL_SECONDS,
+  heatmapWeights, centerOfPoints, boundsOfPoints, DEFAULT_PITCH, estimatePitchCorners,
+  measurePitchCorners, buildPitchProjection, buildPitchUnprojection, orientedPoints, matchHalves,
+  suggestSideSwitch, ZONE_GRIDS, ZONE_AREAS, DEFAULT_ZONE_GRID, zoneAreaGeometry,
+  computeZoneOccupancy, DEFAULT_HEATMAP_PARAMS, kernelSigma, mapFrame, selectedSegmentRange,
+  densityJob, HEATMAP_PALETTES, HEATMAP_SCALE_MODES, DENSITY_UNITS, formatDensity,
+} from "./analysis.js";
 
-const parseXML = promisify(parseString);
+// --- Eventos del partido ---
+// Goles, cambios, tarjetas, etc. con su tiempo en segundos desde el inicio del registro.
 
-// --- Funciones de Utilidad (sin cambios) ---
+const EVENT_TYPES = {
+  goal: { label: "Gol", symbol: "⚽", color: "#2e7d32" },
+  sub: { label: "Cambio", symbol: "⇄", color: "#1565c0" },
+  card: { label: "Tarjeta", symbol: "▮", color: "#f9a825" },
+  injury: { label: "Lesión", symbol: "✚", color: "#c62828" },
+  note: { label: "Nota", symbol: "✎", color: "#6a1b9a" },
+};
 
-function parseGPX(xmlText) {
-  let points = [];
-  let startTime = null;
-  const parser = new DOMParser();
-  const xmlDoc = parser.parseFromString(xmlText, "text/xml");
-  const trackpoints = xmlDoc.getElementsByTagName("trkpt");
+let eventSeq = 0;
+function newEventId() {
+  return `ev-${Date.now()}-${++eventSeq}`;
+}
 
-  for (let i = 0; i < trackpoints.length; i++) {
-    const pt = trackpoints[i];
-    const lat = parseFloat(pt.getAttribute("lat"));
-    const lon = parseFloat(pt.getAttribute("lon"));
-    const timeElem = pt.getElementsByTagName("time")[0];
-    const time = timeElem ? timeElem.textContent : null;
+// Clave o nombre del tipo (sin distinguir mayúsculas); lo desconocido queda como nota
+function eventTypeFromText(text) {
+  const t = String(text).trim().toLowerCase();
+  const entry = Object.entries(EVENT_TYPES).find(([key, def]) => key === t || def.label.toLowerCase() === t);
+  return entry ? entry[0] : "note";
+}
 
-    if (!startTime && time) {
-      startTime = new Date(time);
-    }
+function eventLabel(event) {
+  const { label } = EVENT_TYPES[event.type] || EVENT_TYPES.note;
+  return event.note ? `${label}: ${event.note}` : label;
+}
 
-    if (!isNaN(lat) && !isNaN(lon) && time) {
-      points.push({ lat, lon, time });
+// Separa una línea CSV respetando comillas dobles ("" es una comilla literal)
+function splitCsvLine(line, sep) {
+  const cells = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === sep) {
+      cells.push(cell);
+      cell = "";
+    } else {
+      cell += ch;
     }
   }
-  return { points, startTime };
-}
-
-function haversineDistance(coords1, coords2) {
-  const [lat1, lon1] = coords1;
-  const [lat2, lon2] = coords2;
-  const R = 6371; // Radio de la Tierra en km
-  const dLat = ((lat2 - lat1) * Math.PI) / 180;
-  const dLon = ((lon2 - lon1) * Math.PI) / 180;
-  const a =
-    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-    Math.cos((lat1 * Math.PI) / 180) *
-      Math.cos((lat2 * Math.PI) / 180) *
-      Math.sin(dLon / 2) *
-      Math.sin(dLon / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  return R * c;
-}
-
-function processGpxPoints(points) {
-  if (points.length < 2) return [];
-  const processed = [];
-  const startTime = new Date(points[0].time).getTime();
-
-  for (let i = 0; i < points.length; i++) {
-    const p = points[i];
-    const time = new Date(p.time).getTime();
-    const elapsedSeconds = (time - startTime) / 1000;
-
-    if (i === 0) {
-      processed.push({ ...p, elapsedSeconds, speed: 0 });
+  cells.push(cell);
+  return cells.map((c) => c.trim());
+}
+
+// "hh:mm[:ss]" del mismo día que startTime -> segundos desde startTime
+function clockToElapsed(text, startTime) {
+  const [h, m, sec = 0] = text.split(":").map((v) => parseInt(v, 10));
+  if ([h, m, sec].some((v) => isNaN(v))) return NaN;
+  const date = new Date(startTime);
+  date.setHours(h, m, sec, 0);
+  return (date - startTime) / 1000;
+}
+
+// CSV de eventos (coma o punto y coma): tiempo, tipo, nota. El tiempo es "mm:ss" (o minutos)
+// desde el inicio; con una columna "hora" en el encabezado se toma la hora real del partido.
+// Devuelve { events, skipped } con la cantidad de líneas que no se pudieron interpretar.
+function parseEventsCsv(text, startTime) {
+  const lines = text.split(/\r?\n/).filter((l) => l.trim());
+  if (!lines.length) return { events: [], skipped: 0 };
+  const sep = lines[0].includes(";") ? ";" : ",";
+  let columns = ["tiempo", "tipo", "nota"];
+  const header = splitCsvLine(lines[0], sep).map((c) => c.toLowerCase());
+  if (header.some((c) => ["tiempo", "minuto", "hora", "tipo", "nota"].includes(c))) {
+    columns = header.map((c) => (c === "minuto" ? "tiempo" : c));
+    lines.shift();
+  }
+  const events = [];
+  let skipped = 0;
+  for (const line of lines) {
+    const cells = splitCsvLine(line, sep);
+    const get = (name) => cells[columns.indexOf(name)] || "";
+    const time = get("hora") && startTime ? clockToElapsed(get("hora"), startTime) : parseElapsed(get("tiempo"));
+    if (!(time >= 0)) {
+      skipped++;
       continue;
     }
+    events.push({ id: newEventId(), type: eventTypeFromText(get("tipo")), time, note: get("nota") });
+  }
+  return { events, skipped };
+}
+
+// Marcadores de los eventos sobre el mapa, en la posición del jugador en ese momento
+function eventPins(session) {
+  const { events, points, processedPoints } = session;
+  if (!events || !events.length || !processedPoints) return null;
+  return events.map((ev) => {
+    const p = points[Math.min(indexAtElapsed(processedPoints, ev.time), points.length - 1)];
+    return { ...ev, ...(EVENT_TYPES[ev.type] || EVENT_TYPES.note), title: eventLabel(ev), position: [p.lat, p.lon] };
+  });
+}
+
+// Segmento alrededor de un evento: desde `before` minutos antes hasta `after` minutos después,
+// recortado a la grabación. null si la ventana deja menos de 2 puntos (p. ej. un evento
+// anotado después de que terminó el recorrido).
+function eventSegment(processedPoints, event, before, after) {
+  const offsets = [before > 0 ? `−${before}` : null, after > 0 ? `+${after}` : null].filter(Boolean).join("/");
+  const startIdx = indexAtElapsed(processedPoints, event.time - before * 60);
+  const endIdx = Math.min(indexAtElapsed(processedPoints, event.time + after * 60), processedPoints.length);
+  if (endIdx - startIdx < 2) return null;
+  return { label: `${eventLabel(event)} (${offsets} min)`, startIdx, endIdx };
+}
 
-    const pPrev = points[i - 1];
-    const timePrev = new Date(pPrev.time).getTime();
-    const dist = haversineDistance([pPrev.lat, pPrev.lon], [p.lat, p.lon]); // km
-    const timeDiffHours = (time - timePrev) / (1000 * 60 * 60); // horas
+// --- Recorrido por velocidad ---
 
-    let speed = 0;
-    if (timeDiffHours > 0) {
-      speed = dist / timeDiffHours; // km/h
+// Colores de las zonas de velocidad, de la más lenta a la más rápida
+const SPEED_ZONE_COLORS = ["#2196f3", "#4caf50", "#ffeb3b", "#ff9800", "#f44336"];
+
+// Tramos consecutivos del recorrido en la misma zona de velocidad, para dibujar una
+// polilínea por tramo en vez de una por punto. Cada tramo comparte su último punto
+// con el siguiente para que la línea quede continua.
+function speedTrackRuns(processedPoints, startIdx, endIdx, zones) {
+  const runs = [];
+  let run = null;
+  for (let i = startIdx; i < endIdx; i++) {
+    const p = processedPoints[i];
+    const zone = speedZoneIndex(p.speed, zones);
+    if (!run || run.zone !== zone) {
+      if (run) run.endIdx = i + 1;
+      run = { zone, startIdx: run ? i - 1 : i, endIdx: i + 1 };
+      runs.push(run);
     }
+  }
+  if (run) run.endIdx = endIdx;
+  return runs;
+}
+
+// --- Reproducción ---
+
+const REPLAY_RATES = [1, 5, 10, 30, 60];
+const REPLAY_TRAIL_SECONDS = 30;
+const REPLAY_TRAIL_CHUNKS = 5; // Tramos de la estela, de más tenue a más intenso
 
-    processed.push({ ...p, elapsedSeconds, speed: isNaN(speed) ? 0 : speed });
+// Últimos REPLAY_TRAIL_SECONDS hasta cursorIdx (sin salir del segmento), partidos en tramos
+// que se solapan en un punto para que la estela se dibuje continua.
+function replayTrail(processedPoints, points, cursorIdx, startIdx) {
+  const t = processedPoints[cursorIdx].elapsedSeconds;
+  const from = Math.max(startIdx, indexAtElapsed(processedPoints, t - REPLAY_TRAIL_SECONDS));
+  const trail = points.slice(from, cursorIdx + 1);
+  const size = Math.max(2, Math.ceil(trail.length / REPLAY_TRAIL_CHUNKS));
+  const chunks = [];
+  for (let i = 0; i < trail.length - 1; i += size - 1) chunks.push(trail.slice(i, i + size));
+  return chunks;
+}
+
+// --- Render del heatmap ---
+// La densidad se calcula en un Web Worker sobre un marco en metros (el mapa o la cancha)
+// y se colorea en el hilo principal, así cambiar la opacidad no requiere recalcular.
+
+let heatmapWorker = null;
+let heatmapWorkerFailed = false;
+let densityJobSeq = 0;
+const pendingDensityJobs = {}; // jobId -> { job, resolve, reject }
+
+// Si el worker falla, los trabajos pendientes se terminan en el hilo principal y los
+// siguientes ya no lo usan: el heatmap se ve igual, solo que más lento
+function abandonHeatmapWorker(error) {
+  console.error("El worker del heatmap falló; se calcula en el hilo principal:", error);
+  heatmapWorker.terminate();
+  heatmapWorker = null;
+  heatmapWorkerFailed = true;
+  for (const [jobId, { job, resolve, reject }] of Object.entries(pendingDensityJobs)) {
+    delete pendingDensityJobs[jobId];
+    try {
+      resolve(densityGrid(job));
+    } catch (jobError) {
+      reject(jobError);
+    }
   }
-  return processed;
 }
 
-function centerOfPoints(points) {
-  if (!points || points.length === 0) return [0, 0];
-  const lats = points.map((p) => p.lat);
-  const lons = points.map((p) => p.lon);
-  return [(Math.min(...lats) + Math.max(...lats)) / 2, (Math.min(...lons) + Math.max(...lons)) / 2];
+function getHeatmapWorker() {
+  if (!heatmapWorker && !heatmapWorkerFailed && typeof Worker !== "undefined") {
+    heatmapWorker = new Worker(new URL("./heatmapWorker.js", import.meta.url), { type: "module" });
+    heatmapWorker.onmessage = (e) => {
+      const { jobId, ...result } = e.data;
+      pendingDensityJobs[jobId].resolve(result);
+      delete pendingDensityJobs[jobId];
+    };
+    heatmapWorker.onerror = (e) => {
+      e.preventDefault();
+      abandonHeatmapWorker(e.message);
+    };
+    heatmapWorker.onmessageerror = () => abandonHeatmapWorker("mensaje ilegible");
+  }
+  return heatmapWorker;
 }
 
-function boundsOfPoints(points) {
-  if (!points || points.length === 0) return [[0, 0], [0, 0]];
-  const lats = points.map((p) => p.lat);
-  const lons = points.map((p) => p.lon);
-  return [[Math.min(...lats), Math.min(...lons)], [Math.max(...lats), Math.max(...lons)]];
+// Sin soporte de workers se calcula en el hilo principal. Los arreglos se copian al worker
+// (no se transfieren) para poder recalcular acá si el worker falla.
+function computeDensity(job) {
+  const worker = getHeatmapWorker();
+  if (!worker) return Promise.resolve(densityGrid(job));
+  const jobId = ++densityJobSeq;
+  return new Promise((resolve, reject) => {
+    pendingDensityJobs[jobId] = { job, resolve, reject };
+    worker.postMessage({ jobId, ...job });
+  });
+}
+
+// Marco geográfico con los límites de la imagen como L.LatLngBounds, como los usa el overlay
+function leafletMapFrame(bounds, sigma) {
+  const frame = mapFrame(
+    { south: bounds.getSouth(), west: bounds.getWest(), north: bounds.getNorth(), east: bounds.getEast() },
+    sigma
+  );
+  const { south, west, north, east } = frame.bounds;
+  return { ...frame, bounds: L.latLngBounds([south, west], [north, east]) };
 }
 
-const placeNameCache = {};
-async function reverseGeocode(lat, lon) {
-  const cacheKey = `${lat.toFixed(4)},${lon.toFixed(4)}`;
-  if (placeNameCache[cacheKey]) {
-    return placeNameCache[cacheKey];
+// Límites del mapa para los puntos orientados (los reflejados pueden salir del recorrido)
+function orientedBounds(sess, points) {
+  if (points === sess.points) return sess.bounds;
+  const [sw, ne] = boundsOfPoints(points);
+  return L.latLngBounds(sw, ne);
+}
+
+// Marco del heatmap de una sesión: la cancha calibrada (vista "Cancha") o el mapa
+function heatmapFrame(sess, points = sess.points) {
+  const sigma = kernelSigma(sess.params);
+  if (sess.view === "pitch" && sess.pitch) {
+    const project = buildPitchProjection(sess.pitch, sess.points);
+    if (!project) return null;
+    return {
+      width: sess.pitch.length,
+      height: sess.pitch.width,
+      sigma,
+      project: (p) => project(p.lat, p.lon),
+      bounds: null,
+    };
   }
-  try {
-    const response = await fetch(
-      `https://nominatim.openstreetmap.org/reverse?format=json&lat=${lat}&lon=${lon}&zoom=16`
-    );
-    const data = await response.json();
-    const name = data.display_name.split(",")[0] || data.display_name; // Try to get the main name
-    placeNameCache[cacheKey] = name;
-    return name;
-  } catch (error) {
-    console.error("Reverse geocoding failed:", error);
-    return "Ubicación desconocida";
-  }
-}
-
-async function buildOverlay(points, bounds, params) {
-  if (typeof window === "undefined" || points.length === 0) return null; // Avoid running on server or with no points
-
-  const { HeatmapOverlay } = await import("leaflet-heatmap/leaflet-heatmap.js");
-
-  const mapDiv = document.createElement("div");
-  mapDiv.style.width = "800px";
-  mapDiv.style.height = "600px";
-  mapDiv.style.position = "absolute";
-  mapDiv.style.left = "-9999px"; // Hide it off-screen
-  document.body.appendChild(mapDiv);
-
-  const map = L.map(mapDiv).fitBounds(bounds);
-  const heatmapLayer = new HeatmapOverlay({
-    radius: params.radius / 100, // example conversion, adjust as needed
-    maxOpacity: params.maxOpacity / 100,
-    scaleRadius: true,
-    useLocalExtrema: false,
-    latField: "lat",
-    lngField: "lng",
-    valueField: "value",
-    gradient: {
-      '.1': 'blue', '.2': 'lime', '.4': 'yellow', '.6': 'orange', '.8': 'red'
-    },
-    blur: params.blur / 100,
-    // Adjust max based on density - simple heuristic, can be improved
-    max: points.length / 500, // example scaling
+  return leafletMapFrame(orientedBounds(sess, points), sigma);
+}
+
+// colorScale: { palette, max }, el tope de la escala en las unidades de la grilla
+function densityToDataUrl(density, params, colorScale) {
+  const palette = paletteFromStops(HEATMAP_PALETTES[colorScale.palette].stops);
+  const pixels = colorizeDensity(density, palette, colorScale.max, params.maxOpacity / 100);
+  const canvas = document.createElement("canvas");
+  canvas.width = density.cols;
+  canvas.height = density.rows;
+  canvas.getContext("2d").putImageData(new ImageData(pixels, density.cols, density.rows), 0, 0);
+  return canvas.toDataURL();
+}
+
+// Leyenda: { palette, max, weighting, mode } del heatmap tal como se coloreó
+function HeatmapLegend({ legend }) {
+  const { palette, max, weighting, mode } = legend;
+  const stops = Object.entries(HEATMAP_PALETTES[palette].stops)
+    .map(([at, color]) => [parseFloat(at), color])
+    .sort((a, b) => a[0] - b[0]);
+  const gradient = `linear-gradient(to right, ${stops.map(([at, color]) => `${color} ${at * 100}%`).join(", ")})`;
+  const unit = DENSITY_UNITS[weighting];
+  return (
+    <div className="heatmap-legend">
+      <div className="heatmap-legend__title">
+        {HEATMAP_WEIGHTINGS[weighting]} · escala {mode === "absolute" ? "común" : "relativa"}
+      </div>
+      <div className="heatmap-legend__bar" style={{ background: gradient }} />
+      <div className="heatmap-legend__ticks">
+        <span>0</span>
+        <span>{formatDensity(max / 2)}</span>
+        <span>{formatDensity(max)} {unit}</span>
+      </div>
+    </div>
+  );
+}
+
+// Tope de colores de una sesión: su propio máximo o, en escala absoluta, el fijado o el
+// mayor entre las sesiones abiertas con la misma ponderación (mismas unidades)
+function colorScaleMax(sess, list, scale, cache) {
+  const own = cache[sess.id];
+  if (scale.mode !== "absolute") return own.density.max;
+  if (scale.max > 0) return scale.max;
+  return list.reduce((max, s) => {
+    const cached = cache[s.id];
+    return cached && cached.weighting === own.weighting ? Math.max(max, cached.density.max) : max;
+  }, own.density.max);
+}
+
+// Vuelve a colorear los heatmaps visibles cuya escala cambió, reutilizando las grillas.
+// cache: grillas por sesión; forceId: sesión con grilla recién calculada, que se colorea
+// aunque no tenga overlay.
+function recolorOverlays(list, scale, cache, forceId = null) {
+  return list.map((s) => {
+    const cached = cache[s.id];
+    if (!cached || (s.id !== forceId && !s.overlayUrl)) return s;
+    const max = colorScaleMax(s, list, scale, cache);
+    const key = JSON.stringify([cached.key, scale.palette, max, s.params.maxOpacity]);
+    if (s.id !== forceId && s.overlayScale && s.overlayScale.key === key) return s;
+    return {
+      ...s,
+      overlayUrl: densityToDataUrl(cached.density, s.params, { palette: scale.palette, max }),
+      overlayBounds: cached.bounds,
+      overlayScale: { key, palette: scale.palette, mode: scale.mode, max, weighting: cached.weighting },
+    };
   });
+}
 
-  const data = points.map((p) => ({
-    lat: p.lat,
-    lng: p.lon,
-    value: 1, // Simple count, could be velocity, HR, etc.
-  }));
-
-  heatmapLayer.setData({ data: data });
-  map.addLayer(heatmapLayer);
-
-  // Capture the heatmap canvas as a Data URL
-  return new Promise((resolve) => {
-    // Wait a brief moment for Leaflet/Heatmap.js to render
-    setTimeout(() => {
-      const canvas = mapDiv.querySelector(".leaflet-heatmap-layer");
-      if (canvas) {
-        resolve(canvas.toDataURL());
-      } else {
-        resolve(null);
-      }
-      map.remove(); // Clean up Leaflet instance
-      document.body.removeChild(mapDiv); // Clean up DOM element
-    }, 100); // Adjust delay if needed
+// --- Modo equipo ---
+// Varios jugadores del mismo partido, alineados por hora real y proyectados a una misma cancha.
+
+const TEAM_STEP_SECONDS = 1;
+const TEAM_CHART_STEP = 5; // Una muestra de cada 5 en los gráficos
+const PLAYER_COLORS = ["#e53935", "#1e88e5", "#fdd835", "#8e24aa", "#00acc1", "#fb8c00", "#43a047", "#d81b60", "#6d4c41", "#3949ab"];
+
+function playerName(session) {
+  return session.fileName.replace(/\.[^.]+$/, "");
+}
+
+// Devuelve t (ms) -> [lat, lon] interpolado, o null fuera del registro o en un hueco.
+// Pensado para consultas con t creciente: avanza un índice en vez de buscar cada vez.
+function trackSampler(points) {
+  const times = points.map((p) => Date.parse(p.time));
+  let idx = 0;
+  return (t) => {
+    if (!points.length || t < times[0] || t > times[times.length - 1]) return null;
+    if (times[idx] > t) idx = 0;
+    while (idx + 1 < times.length && times[idx + 1] < t) idx++;
+    if (idx + 1 >= times.length) return [points[idx].lat, points[idx].lon];
+    const span = times[idx + 1] - times[idx];
+    if (span > MAX_DWELL_SECONDS * 1000) return null; // El equipo perdió la señal
+    const f = span > 0 ? (t - times[idx]) / span : 0;
+    const a = points[idx];
+    const b = points[idx + 1];
+    return [a.lat + (b.lat - a.lat) * f, a.lon + (b.lon - a.lon) * f];
+  };
+}
+
+// Posiciones (metros de cancha o null) de cada jugador cada stepSeconds dentro del tramo
+// en el que todos grabaron. samples: [{ t: segundos desde el inicio común, positions }]
+function buildTeamTimeline(sessions, project, stepSeconds = TEAM_STEP_SECONDS) {
+  const ranges = sessions.map((s) => [Date.parse(s.points[0].time), Date.parse(s.points[s.points.length - 1].time)]);
+  const start = Math.max(...ranges.map((r) => r[0]));
+  const end = Math.min(...ranges.map((r) => r[1]));
+  if (!(end > start)) return null;
+  const samplers = sessions.map((s) => trackSampler(s.points));
+  const samples = [];
+  for (let t = start; t <= end; t += stepSeconds * 1000) {
+    samples.push({
+      t: (t - start) / 1000,
+      positions: samplers.map((sample) => {
+        const latlon = sample(t);
+        return latlon ? project(latlon[0], latlon[1]) : null;
+      }),
+    });
+  }
+  return { start: new Date(start), samples };
+}
+
+// Ancho (a lo ancho de la cancha) y profundidad (a lo largo) del bloque en una muestra
+function teamShape(positions) {
+  const present = positions.filter(Boolean);
+  if (present.length < 2) return null;
+  const xs = present.map(([x]) => x);
+  const ys = present.map(([, y]) => y);
+  return { depth: Math.max(...xs) - Math.min(...xs), width: Math.max(...ys) - Math.min(...ys) };
+}
+
+// Posición media y dispersión (desvío estándar en x e y) de cada jugador
+function teamFormation(timeline, playerCount) {
+  return Array.from({ length: playerCount }, (_, idx) => {
+    const positions = timeline.samples.map((s) => s.positions[idx]).filter(Boolean);
+    const n = positions.length;
+    if (!n) return null;
+    const mx = positions.reduce((acc, [x]) => acc + x, 0) / n;
+    const my = positions.reduce((acc, [, y]) => acc + y, 0) / n;
+    const sx = Math.sqrt(positions.reduce((acc, [x]) => acc + (x - mx) ** 2, 0) / n);
+    const sy = Math.sqrt(positions.reduce((acc, [, y]) => acc + (y - my) ** 2, 0) / n);
+    return { x: mx, y: my, sx, sy, seconds: n * TEAM_STEP_SECONDS };
   });
 }
 
+function pairDistance(positions, [a, b]) {
+  const pa = positions[a];
+  const pb = positions[b];
+  return pa && pb ? Math.hypot(pa[0] - pb[0], pa[1] - pb[1]) : null;
+}
+
+const PLACE_PENDING = "Buscando lugar…";
+const PLACE_UNKNOWN = "Ubicación desconocida";
+const SAVE_DELAY_MS = 800; // Sin cambios durante este tiempo, se guarda la sesión
+
+// Sin lugar resuelto (pendiente o la consulta falló): se vuelve a buscar al abrir la sesión
+function needsPlace(session) {
+  return session.place === PLACE_PENDING || session.place === PLACE_UNKNOWN;
+}
+
+// Motivo para un archivo que se leyó pero no trae ningún punto utilizable
+function emptyTrackMessage(dropped) {
+  const { noTime = 0, noPosition = 0 } = dropped || {};
+  return noTime || noPosition
+    ? `Ningún punto tiene posición y hora (${noTime} sin hora, ${noPosition} sin posición)`
+    : "El archivo no tiene puntos de recorrido";
+}
+
+// Arma una sesión completa a partir de los datos crudos del archivo. Los campos de
+// saved (una sesión guardada) reemplazan a los valores iniciales.
+function createSession(record, saved = {}) {
+  const { id, fileName, format, startTime } = record;
+  const { rawPoints, dropped } = withReadableTimes(record.rawPoints, record.dropped);
+  const filter = saved.filter || DEFAULT_GPS_FILTER;
+  const points = filterGpsPoints(rawPoints, filter);
+  const processedPoints = processWithRawSpeed(points, rawPoints);
+  // Incluir puntos procesados solo si son válidos
+  const validProcessedPoints = processedPoints.length > 0 ? processedPoints : null;
+
+  const phases = validProcessedPoints ? detectMatchPhases(validProcessedPoints) : [];
+  const center = centerOfPoints(points);
+  const boundsArray = boundsOfPoints(points);
+  const bounds = L.latLngBounds(boundsArray[0], boundsArray[1]);
+  const initialParams = DEFAULT_HEATMAP_PARAMS;
+
+  // Segmento inicial: siempre incluir la actividad completa
+  const initialSegments = [{ label: "Actividad Completa", startIdx: 0, endIdx: points.length }];
+
+  const session = {
+    id,
+    fileName,
+    format, // gpx, tcx, fit, kml o geojson
+    startTime: startTime ? new Date(startTime) : null,
+    center,
+    bounds,
+    params: initialParams,
+    rawPoints, // Tal cual vienen del archivo
+    dropped: dropped || {}, // Puntos que el parser descartó { noTime, noPosition }
+    filter, // Estrategia de filtrado GPS aplicada a rawPoints
+    points, // Filtrados: alineados índice a índice con rawPoints
+    processedPoints: validProcessedPoints, // Guardar puntos procesados si existen
+    overlayUrl: null, // Inicia sin overlay
+    overlayScale: null, // Escala con la que se coloreó (leyenda)
+    overlayBounds: null, // Límites de la imagen del heatmap sobre el mapa
+    place: PLACE_PENDING,
+    segments: initialSegments, // Guardar segmentos iniciales
+    selectedSegmentIdx: 0, // Por defecto, mostrar completo
+    pitch: null, // Sin cancha calibrada: heatmap sobre el mapa
+    view: "map",
+    baseLayerId: null, // Capa base elegida en el mapa (null = la marcada por defecto)
+    detectedPhases: phases.length ? phases : null, // Pendientes de confirmar
+    highlight: null, // Tramo resaltado en el mapa { startIdx, endIdx }
+    cursorIdx: null, // Posición de la reproducción
+    hoverIdx: null, // Punto señalado en el gráfico o el mapa
+    zoneGrid: DEFAULT_ZONE_GRID, // Análisis por zonas del segmento seleccionado
+    events: [], // Eventos del partido { id, type, time, note }
+  };
+  for (const field of STORED_FIELDS) {
+    if (field in saved && !["id", "startTime", "rawPoints", "filter"].includes(field)) session[field] = saved[field];
+  }
+  return session;
+}
+
 // --- Componentes React ---
 
 function Style() {
@@ -205,15 +543,40 @@ function Style() {
       .session summary { padding: 16px 20px; font-weight: bold; cursor: pointer; display: flex; justify-content: space-between; align-items: center; }
       .session summary small { font-weight: normal; color: var(--muted); }
       .session__content { display: grid; grid-template-columns: 200px 1fr; gap: 20px; padding: 0 20px 20px; }
+      .session__panel { grid-column: 1 / -1; border-top: 1px solid var(--line); padding-top: 12px; font-size: 14px; }
+      .session__panel h4 { margin: 0 0 8px; font-size: 15px; }
+      .stat-grid { display: grid; grid-template-columns: repeat(auto-fill, minmax(150px, 1fr)); gap: 8px; }
+      .stat-grid div { border: 1px solid var(--line); border-radius: 8px; padding: 6px 10px; }
+      .stat-grid small { display: block; color: var(--muted); }
+      .quality-badge { margin: 0 8px 0 auto; padding: 3px 10px; border: none; border-radius: 999px; color: #fff; font-size: 12px; cursor: pointer; }
+      .zone-label { background: rgba(0,0,0,.55); color: #fff; border: none; box-shadow: none; padding: 1px 4px; font-size: 11px; }
+      .zone-label::before { display: none; }
+      .event-pin span { display: flex; align-items: center; justify-content: center; width: 24px; height: 24px; border-radius: 50% 50% 50% 0; transform: rotate(-45deg); color: #fff; font-size: 13px; border: 2px solid #fff; box-shadow: 0 1px 4px rgba(0,0,0,.4); }
+      .event-pin b { transform: rotate(45deg); font-weight: normal; }
+      .table { width: 100%; border-collapse: collapse; font-size: 13px; }
+      .table th, .table td { text-align: left; padding: 4px 6px; border-bottom: 1px solid var(--line); }
+      .table th { color: var(--muted); font-weight: normal; }
+      .table input { width: 70px; padding: 3px; border-radius: 6px; border: 1px solid var(--line); }
       .controls { display: flex; flex-direction: column; gap: 12px; }
       .control { font-size: 14px; }
       .control__row { display: flex; justify-content: space-between; margin-bottom: 4px;}
       .control__label { color: var(--muted); }
       .control__value { font-weight: bold; }
       .slider { width: 100%; }
-      .mapWrap { border-radius: 12px; overflow: hidden; border: 1px solid var(--line); height: 420px; }
+      .mapWrap { position: relative; border-radius: 12px; overflow: hidden; border: 1px solid var(--line); height: 420px; }
+      .heatmap-scale { display: flex; flex-wrap: wrap; align-items: center; gap: 4px 20px; padding: 12px 20px; }
+      .mapWrap__legend { position: absolute; right: 10px; bottom: 10px; }
+      .heatmap-legend { width: 180px; padding: 6px 8px; border-radius: 6px; background: rgba(255,255,255,.9); box-shadow: 0 1px 4px rgba(0,0,0,.3); font-size: 11px; color: var(--fg); }
+      .heatmap-legend__bar { height: 10px; margin: 4px 0 2px; border-radius: 3px; }
+      .heatmap-legend__ticks { display: flex; justify-content: space-between; color: var(--muted); }
       .btn { padding: 8px 16px; border-radius: 8px; border: 1px solid var(--secondary); background: var(--secondary); color: white; cursor: pointer; font-size: 14px; }
       .btn--secondary { background: none; color: var(--secondary); }
+      .btn:disabled { opacity: .5; cursor: default; }
+      .btn--small { padding: 4px 10px; font-size: 13px; }
+      .btn-row { display: flex; gap: 6px; flex-wrap: wrap; }
+      .field { display: flex; align-items: center; justify-content: space-between; gap: 6px; font-size: 13px; margin-top: 4px; }
+      .field input, .field select { width: 80px; padding: 4px; border-radius: 6px; border: 1px solid var(--line); }
+      .pitch { width: 100%; height: 100%; display: block; background: #2e7d32; }
       .help { font-size: 12px; color: var(--muted; margin-top: auto; }
       .modal__overlay{
         position: fixed; top: 0; left: 0; right: 0; bottom: 0;
@@ -244,8 +607,682 @@ function Style() {
   );
 }
 
+// Heatmap combinado de varias sesiones (segmento seleccionado de cada una), con escala común:
+// cada punto pesa su tiempo de permanencia, así la densidad queda en segundos por m².
+// En el marco "Cancha" cada sesión se proyecta a su cancha y se lleva a una reglamentaria,
+// así se pueden combinar canchas distintas; en "Mapa" se superponen las coordenadas reales.
+// Con la escala absoluta se colorea con el mismo tope que las sesiones en permanencia.
+function AggregateHeatmap({ sessions, tileProviders, heatmapScale, onClose }) {
+  const [selectedIds, setSelectedIds] = useState(() => sessions.map((s) => s.id));
+  const [frameType, setFrameType] = useState("map");
+  const [params, setParams] = useState({ radius: 20, maxOpacity: 50, blur: 30 });
+  const [result, setResult] = useState(null); // { density, bounds, frame, contributions, skipped }
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const selected = sessions.filter((s) => selectedIds.includes(s.id));
+  const canUsePitch = selected.length > 0 && selected.every((s) => s.pitch);
+  const frame = frameType === "pitch" && canUsePitch ? "pitch" : "map";
+
+  const toggle = (id) => {
+    setSelectedIds((cur) => (cur.includes(id) ? cur.filter((x) => x !== id) : [...cur, id]));
+  };
+
+  const generate = async () => {
+    if (!selected.length) return;
+    setBusy(true);
+    setError(null);
+    try {
+      const aggParams = { ...params, weighting: "dwell" };
+      const contributions = [];
+      const skipped = []; // Sesiones cuya cancha no se puede proyectar
+      const used = [];
+      let points = [];
+      for (const sess of selected) {
+        const [startIdx, endIdx] = selectedSegmentRange(sess);
+        const weights = heatmapWeights(sess.processedPoints, startIdx, endIdx, aggParams);
+        let sessionPoints = orientedPoints(sess).slice(startIdx, endIdx).map((p, i) => ({ ...p, weight: weights[i] }));
+        if (frame === "pitch") {
+          const project = buildPitchProjection(sess.pitch, sess.points);
+          if (!project) {
+            skipped.push(sess.fileName);
+            continue;
+          }
+          const sx = DEFAULT_PITCH.length / sess.pitch.length;
+          const sy = DEFAULT_PITCH.width / sess.pitch.width;
+          sessionPoints = sessionPoints.map((p) => {
+            const [x, y] = project(p.lat, p.lon);
+            return { ...p, x: x * sx, y: y * sy };
+          });
+        }
+        used.push(sess);
+        contributions.push({
+          id: sess.id,
+          fileName: sess.fileName,
+          place: sess.place,
+          segment: (sess.segments[sess.selectedSegmentIdx] || sess.segments[0]).label,
+          seconds: weights.reduce((sum, w) => sum + w, 0),
+          points: sessionPoints.length,
+        });
+        points = points.concat(sessionPoints);
+      }
+      if (!used.length) {
+        setError(`No se pudo proyectar ninguna sesión a la cancha (${skipped.join(", ")}).`);
+        return;
+      }
+
+      const sigma = kernelSigma(params);
+      let densityFrame;
+      if (frame === "pitch") {
+        densityFrame = { width: DEFAULT_PITCH.length, height: DEFAULT_PITCH.width, sigma, project: (p) => [p.x, p.y], bounds: null };
+      } else {
+        const boundsList = used.map((s) => orientedBounds(s, orientedPoints(s)));
+        const union = boundsList.reduce((acc, b) => acc.extend(b), L.latLngBounds(boundsList[0].getSouthWest(), boundsList[0].getNorthEast()));
+        densityFrame = leafletMapFrame(union, sigma);
+      }
+      const density = await computeDensity(densityJob(points, densityFrame));
+      setResult({ density, bounds: densityFrame.bounds, frame, contributions, skipped });
+    } catch (generateError) {
+      console.error("No se pudo generar el heatmap combinado:", generateError);
+      setError(generateError.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // Tope de la escala absoluta: el fijado o el que comparten las sesiones en permanencia
+  // (null = no hay con qué compararlo y el combinado llega a su propio máximo)
+  const sharedSession = sessions.find(
+    (s) => s.overlayScale && s.overlayScale.mode === "absolute" && s.overlayScale.weighting === "dwell"
+  );
+  const sharedMax = heatmapScale.mode !== "absolute" ? null
+    : heatmapScale.max > 0 ? heatmapScale.max
+    : sharedSession ? sharedSession.overlayScale.max
+    : null;
+
+  // Se vuelve a colorear sin recalcular la grilla al cambiar la paleta, la escala o la opacidad
+  const overlay = useMemo(() => {
+    if (!result) return null;
+    const colorScale = { palette: heatmapScale.palette, max: sharedMax ?? result.density.max };
+    return {
+      url: densityToDataUrl(result.density, { maxOpacity: params.maxOpacity }, colorScale),
+      legend: { ...colorScale, weighting: "dwell", mode: sharedMax !== null ? "absolute" : "relative" },
+    };
+  }, [result, heatmapScale.palette, sharedMax, params.maxOpacity]);
+
+  const totalSeconds = result ? result.contributions.reduce((sum, c) => sum + c.seconds, 0) : 0;
+
+  return (
+    <div className="card" style={{ padding: 20 }}>
+      <div className="modal__header">
+        <h3 className="modal__title">Heatmap combinado</h3>
+        <button className="modal__close" onClick={onClose}>&times;</button>
+      </div>
+      <div className="session__content" style={{ padding: '16px 0 0' }}>
+        <div className="controls">
+          {sessions.map((s) => (
+            <label key={s.id} style={{ fontSize: 13 }}>
+              <input type="checkbox" checked={selectedIds.includes(s.id)} onChange={() => toggle(s.id)} />
+              {" "}{s.fileName} <small style={{ color: 'var(--muted)' }}>{s.place}</small>
+            </label>
+          ))}
+          <label className="field">Marco
+            <select value={frame} onChange={(e) => setFrameType(e.target.value)}>
+              <option value="map">Mapa</option>
+              <option value="pitch" disabled={!canUsePitch}>Cancha</option>
+            </select>
+          </label>
+          {!canUsePitch && <p className="help">Calibrá la cancha en todas las sesiones para combinarlas sobre la cancha.</p>}
+          <ControlNumber label="Radius" value={params.radius} min={1} max={100} step={1} onChange={v => setParams({ ...params, radius: v })} />
+          <ControlNumber label="Max Opacity" value={params.maxOpacity} min={0} max={100} step={1} onChange={v => setParams({ ...params, maxOpacity: v })} />
+          <ControlNumber label="Blur" value={params.blur} min={0} max={100} step={1} onChange={v => setParams({ ...params, blur: v })} />
+          <button className="btn" onClick={generate} disabled={busy || !selected.length}>
+            {busy ? "Generando…" : "Generar"}
+          </button>
+          {error && <p className="help" style={{ color: "#dc3545" }}>{error}</p>}
+          {result && result.skipped.length > 0 && (
+            <p className="help">Sin cancha utilizable, quedaron afuera: {result.skipped.join(", ")}.</p>
+          )}
+          {heatmapScale.mode === "absolute" && (
+            <p className="help">
+              {sharedMax !== null
+                ? "Escala común: las zonas que superan el tope de las sesiones quedan saturadas."
+                : "Ninguna sesión abierta usa «Tiempo de permanencia»: el combinado llega a su propio máximo."}
+            </p>
+          )}
+        </div>
+        <div className="mapWrap">
+          {result && (result.frame === "pitch" ? (
+            <>
+              <PitchDiagram length={DEFAULT_PITCH.length} width={DEFAULT_PITCH.width} overlayUrl={overlay.url} />
+              <div className="mapWrap__legend"><HeatmapLegend legend={overlay.legend} /></div>
+            </>
+          ) : (
+            <LeafletMap
+              tileProviders={tileProviders}
+              bounds={result.bounds}
+              overlayUrl={overlay.url}
+              overlayBounds={result.bounds}
+              legend={overlay.legend}
+            />
+          ))}
+        </div>
+        {result && (
+          <div className="session__panel">
+            <table className="table">
+              <thead>
+                <tr><th>Sesión</th><th>Lugar</th><th>Segmento</th><th>Tiempo</th><th>Puntos</th><th>Aporte</th></tr>
+              </thead>
+              <tbody>
+                {result.contributions.map((c) => (
+                  <tr key={c.id}>
+                    <td>{c.fileName}</td>
+                    <td>{c.place}</td>
+                    <td>{c.segment}</td>
+                    <td>{formatElapsed(c.seconds)}</td>
+                    <td>{c.points}</td>
+                    <td>{totalSeconds > 0 ? `${((c.seconds / totalSeconds) * 100).toFixed(1)}%` : "—"}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Jugadores de un mismo partido: formación media, ancho/profundidad, distancias entre pares
+// y reproducción sincronizada
+function TeamView({ sessions, onClose }) {
+  const candidates = sessions.filter((s) => s.startTime && s.points.length > 1);
+  const [selectedIds, setSelectedIds] = useState(() => candidates.map((s) => s.id));
+  const [pitchSource, setPitchSource] = useState(() => (candidates.find((s) => s.pitch) || {}).id || "estimated");
+  const [pairs, setPairs] = useState([]); // [[idxA, idxB]] sobre los jugadores elegidos
+  const [pairDraft, setPairDraft] = useState([0, 1]);
+  const [cursor, setCursor] = useState(null); // Índice de muestra en la reproducción
+  const [playing, setPlaying] = useState(false);
+  const [rate, setRate] = useState(10);
+  const clockRef = useRef(0);
+
+  const players = candidates.filter((s) => selectedIds.includes(s.id));
+  const pitchSession = players.find((s) => s.id === pitchSource && s.pitch);
+
+  // Las sesiones cambian de identidad con cualquier actualización (p. ej. la reproducción de otra);
+  // los puntos solo cambian con el filtro GPS, así que esta clave resume lo que afecta al cálculo
+  // y las entradas del cálculo solo se reemplazan cuando cambia
+  const teamKey = JSON.stringify([players.map((s) => [s.id, s.filter]), pitchSession ? pitchSession.pitch : null]);
+  const [teamInputs, setTeamInputs] = useState({ key: teamKey, players, pitchSession });
+  if (teamInputs.key !== teamKey) setTeamInputs({ key: teamKey, players, pitchSession });
+
+  const team = useMemo(() => {
+    const { players, pitchSession } = teamInputs;
+    if (players.length < 2) return null;
+    const pitch = pitchSession ? pitchSession.pitch : { corners: null, ...DEFAULT_PITCH };
+    const project = buildPitchProjection(pitch, pitchSession ? pitchSession.points : players.flatMap((s) => s.points));
+    if (!project) return null;
+    const timeline = buildTeamTimeline(players, project);
+    if (!timeline) return { pitch, timeline: null };
+    return { pitch, timeline, formation: teamFormation(timeline, players.length) };
+  }, [teamInputs]);
+
+  const timeline = team && team.timeline;
+  const lastSample = timeline ? timeline.samples.length - 1 : 0;
+
+  const chartData = useMemo(() => {
+    if (!timeline) return [];
+    const data = [];
+    for (let i = 0; i < timeline.samples.length; i += TEAM_CHART_STEP) {
+      const { t, positions } = timeline.samples[i];
+      const row = { t, ...teamShape(positions) };
+      pairs.forEach((pair, idx) => {
+        row[`pair${idx}`] = pairDistance(positions, pair);
+      });
+      data.push(row);
+    }
+    return data;
+  }, [timeline, pairs]);
+
+  useEffect(() => {
+    if (!playing) return;
+    let frame;
+    let last = performance.now();
+    const tick = (now) => {
+      clockRef.current += ((now - last) / 1000) * rate;
+      last = now;
+      const idx = Math.min(Math.floor(clockRef.current / TEAM_STEP_SECONDS), lastSample);
+      setCursor(idx);
+      if (idx >= lastSample) {
+        setPlaying(false);
+        return;
+      }
+      frame = requestAnimationFrame(tick);
+    };
+    frame = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frame);
+  }, [playing, rate, lastSample]);
+
+  const seek = (idx) => {
+    clockRef.current = idx * TEAM_STEP_SECONDS;
+    setCursor(idx);
+  };
+  const togglePlay = () => {
+    if (!playing && (cursor === null || cursor >= lastSample)) seek(0);
+    setPlaying(!playing);
+  };
+
+  const toggle = (id) => {
+    setSelectedIds((cur) => (cur.includes(id) ? cur.filter((x) => x !== id) : [...cur, id]));
+    setPairs([]); // Los pares son índices sobre los jugadores elegidos
+    setCursor(null);
+    setPlaying(false);
+  };
+  const addPair = () => {
+    const [a, b] = pairDraft;
+    if (a === b || pairs.some(([x, y]) => (x === a && y === b) || (x === b && y === a))) return;
+    setPairs([...pairs, [a, b]]);
+  };
+
+  const current = cursor !== null && timeline ? timeline.samples[Math.min(cursor, lastSample)] : null;
+  const pairLabel = ([a, b]) => `${playerName(players[a])} – ${playerName(players[b])}`;
+
+  return (
+    <div className="card" style={{ padding: 20 }}>
+      <div className="modal__header">
+        <h3 className="modal__title">Modo equipo</h3>
+        <button className="modal__close" onClick={onClose}>&times;</button>
+      </div>
+      <div className="session__content" style={{ padding: '16px 0 0' }}>
+        <div className="controls">
+          {sessions.map((s) => (
+            <label key={s.id} style={{ fontSize: 13 }}>
+              <input
+                type="checkbox"
+                checked={selectedIds.includes(s.id)}
+                disabled={!candidates.includes(s)}
+                onChange={() => toggle(s.id)}
+              />
+              {" "}{playerName(s)} <small style={{ color: 'var(--muted)' }}>
+                {s.startTime ? s.startTime.toLocaleTimeString("es-AR") : "sin hora"}
+              </small>
+            </label>
+          ))}
+          <label className="field">Cancha
+            <select value={pitchSession ? pitchSession.id : "estimated"} onChange={(e) => setPitchSource(e.target.value)}>
+              <option value="estimated">Estimada con todos los recorridos</option>
+              {players.filter((s) => s.pitch).map((s) => (
+                <option key={s.id} value={s.id}>Calibrada en {playerName(s)}</option>
+              ))}
+            </select>
+          </label>
+          {players.length >= 2 && (
+            <>
+              <span className="control__label">Distancia entre</span>
+              <div className="btn-row">
+                {pairDraft.map((value, slot) => (
+                  <select
+                    key={slot}
+                    value={value}
+                    onChange={(e) => setPairDraft(pairDraft.map((v, i) => (i === slot ? parseInt(e.target.value, 10) : v)))}
+                    style={{ maxWidth: 110 }}
+                  >
+                    {players.map((s, idx) => <option key={s.id} value={idx}>{playerName(s)}</option>)}
+                  </select>
+                ))}
+                <button className="btn btn--secondary btn--small" onClick={addPair}>Agregar</button>
+              </div>
+              {pairs.map((pair, idx) => (
+                <div key={pair.join("-")} className="btn-row" style={{ alignItems: 'center', fontSize: 13 }}>
+                  <span style={{ flex: 1 }}>{pairLabel(pair)}</span>
+                  <button className="btn btn--secondary btn--small" onClick={() => setPairs(pairs.filter((_, i) => i !== idx))}>
+                    Quitar
+                  </button>
+                </div>
+              ))}
+            </>
+          )}
+          {players.length < 2 && <p className="help">Elegí al menos dos jugadores con hora de inicio.</p>}
+          {team && !timeline && <p className="help">Los registros elegidos no se superponen en el tiempo.</p>}
+        </div>
+        <div className="mapWrap">
+          {timeline && (
+            <PitchDiagram length={team.pitch.length} width={team.pitch.width}>
+              {team.formation.map((f, idx) => f && (
+                <g key={players[idx].id} opacity={current ? 0.35 : 1}>
+                  <ellipse cx={f.x} cy={f.y} rx={f.sx} ry={f.sy} fill={PLAYER_COLORS[idx % PLAYER_COLORS.length]} fillOpacity={0.2} />
+                  <circle cx={f.x} cy={f.y} r={1.6} fill={PLAYER_COLORS[idx % PLAYER_COLORS.length]} stroke="#fff" strokeWidth={0.3} />
+                  <text x={f.x} y={f.y} fontSize={1.8} fill="#fff" textAnchor="middle" dominantBaseline="central">{idx + 1}</text>
+                </g>
+              ))}
+              {current && current.positions.map((pos, idx) => pos && (
+                <circle
+                  key={players[idx].id}
+                  cx={pos[0]} cy={pos[1]} r={1.2}
+                  fill={PLAYER_COLORS[idx % PLAYER_COLORS.length]} stroke="#fff" strokeWidth={0.3}
+                />
+              ))}
+            </PitchDiagram>
+          )}
+        </div>
+        {timeline && (
+          <>
+            <div className="session__panel btn-row" style={{ alignItems: 'center' }}>
+              <button className="btn btn--small" onClick={togglePlay}>{playing ? "Pausa" : "Reproducir"}</button>
+              <button
+                className="btn btn--secondary btn--small"
+                onClick={() => {
+                  setPlaying(false);
+                  setCursor(null);
+                }}
+                disabled={cursor === null}
+              >
+                Detener
+              </button>
+              <input
+                type="range"
+                className="slider"
+                style={{ flex: 1, width: 'auto' }}
+                min={0}
+                max={lastSample}
+                value={cursor === null ? 0 : cursor}
+                onChange={(e) => seek(parseInt(e.target.value, 10))}
+              />
+              <span style={{ minWidth: 50 }}>{formatElapsed(current ? current.t : 0)}</span>
+              <select value={rate} onChange={(e) => setRate(parseFloat(e.target.value))}>
+                {REPLAY_RATES.map((r) => <option key={r} value={r}>{r}×</option>)}
+              </select>
+            </div>
+            <div className="session__panel">
+              <h4>Ancho y profundidad del equipo (m)</h4>
+              <div style={{ height: 220 }}>
+                <ResponsiveContainer width="100%" height="100%">
+                  <LineChart data={chartData} margin={{ top: 5, right: 20, left: -20, bottom: 5 }}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="t" type="number" domain={["dataMin", "dataMax"]} tickFormatter={formatElapsed} />
+                    <YAxis />
+                    <Tooltip labelFormatter={formatElapsed} formatter={(v) => (typeof v === "number" ? `${v.toFixed(1)} m` : "—")} />
+                    <Legend verticalAlign="top" height={30} />
+                    <Line dataKey="width" name="Ancho" stroke="#1e88e5" dot={false} isAnimationActive={false} />
+                    <Line dataKey="depth" name="Profundidad" stroke="#e53935" dot={false} isAnimationActive={false} />
+                    {current && <ReferenceLine x={current.t} stroke="#00bcd4" strokeWidth={2} />}
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+            </div>
+            {pairs.length > 0 && (
+              <div className="session__panel">
+                <h4>Distancia entre jugadores (m)</h4>
+                <div style={{ height: 220 }}>
+                  <ResponsiveContainer width="100%" height="100%">
+                    <LineChart data={chartData} margin={{ top: 5, right: 20, left: -20, bottom: 5 }}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="t" type="number" domain={["dataMin", "dataMax"]} tickFormatter={formatElapsed} />
+                      <YAxis />
+                      <Tooltip labelFormatter={formatElapsed} formatter={(v) => (typeof v === "number" ? `${v.toFixed(1)} m` : "—")} />
+                      <Legend verticalAlign="top" height={30} />
+                      {pairs.map((pair, idx) => (
+                        <Line
+                          key={pair.join("-")}
+                          dataKey={`pair${idx}`}
+                          name={pairLabel(pair)}
+                          stroke={PLAYER_COLORS[(idx + 3) % PLAYER_COLORS.length]}
+                          dot={false}
+                          connectNulls={false}
+                          isAnimationActive={false}
+                        />
+                      ))}
+                      {current && <ReferenceLine x={current.t} stroke="#00bcd4" strokeWidth={2} />}
+                    </LineChart>
+                  </ResponsiveContainer>
+                </div>
+              </div>
+            )}
+            <div className="session__panel">
+              <table className="table">
+                <thead>
+                  <tr><th>#</th><th>Jugador</th><th>Tiempo en cancha</th><th>Posición media (m)</th><th>Dispersión (m)</th></tr>
+                </thead>
+                <tbody>
+                  {team.formation.map((f, idx) => (
+                    <tr key={players[idx].id}>
+                      <td style={{ color: PLAYER_COLORS[idx % PLAYER_COLORS.length], fontWeight: 700 }}>{idx + 1}</td>
+                      <td>{playerName(players[idx])}</td>
+                      <td>{f ? formatElapsed(f.seconds) : "—"}</td>
+                      <td>{f ? `${f.x.toFixed(1)}, ${f.y.toFixed(1)}` : "—"}</td>
+                      <td>{f ? `${f.sx.toFixed(1)} × ${f.sy.toFixed(1)}` : "—"}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <p className="help">
+                Inicio común: {timeline.start.toLocaleTimeString("es-AR")}. Posiciones en metros de cancha: x a lo largo, y a lo ancho.
+              </p>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Sesiones guardadas en el navegador, de la más reciente a la más vieja
+function SessionLibrary({ records, openIds, onOpen, onDelete, onClose }) {
+  return (
+    <div className="card" style={{ padding: 20 }}>
+      <div className="modal__header">
+        <h3 className="modal__title">Sesiones guardadas</h3>
+        <button className="modal__close" onClick={onClose}>&times;</button>
+      </div>
+      {records.length === 0 ? (
+        <p className="help">Todavía no hay sesiones guardadas.</p>
+      ) : (
+        <table className="table" style={{ marginTop: 12 }}>
+          <thead>
+            <tr><th>Fecha</th><th>Lugar</th><th>Archivo</th><th></th></tr>
+          </thead>
+          <tbody>
+            {records.map((r) => (
+              <tr key={r.id}>
+                <td>{r.startTime ? new Date(r.startTime).toLocaleString("es-AR") : "N/A"}</td>
+                <td>{r.place}</td>
+                <td>{r.fileName}</td>
+                <td className="btn-row">
+                  <button className="btn btn--secondary btn--small" onClick={() => onOpen(r.id)} disabled={openIds.includes(r.id)}>
+                    {openIds.includes(r.id) ? "Abierta" : "Abrir"}
+                  </button>
+                  <button className="btn btn--secondary btn--small" onClick={() => onDelete(r.id)}>Borrar</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+// Paleta y escala de colores de todos los heatmaps abiertos
+function HeatmapScaleBar({ scale, onChange }) {
+  const [maxText, setMaxText] = useState(scale.max ? String(scale.max) : "");
+
+  const changeMax = (text) => {
+    setMaxText(text);
+    const value = parseFloat(text);
+    onChange({ ...scale, max: value > 0 ? value : null });
+  };
+
+  return (
+    <div className="card heatmap-scale">
+      <label className="field">Paleta
+        <select value={scale.palette} onChange={(e) => onChange({ ...scale, palette: e.target.value })} style={{ width: 170 }}>
+          {Object.entries(HEATMAP_PALETTES).map(([key, p]) => (
+            <option key={key} value={key}>{p.label}</option>
+          ))}
+        </select>
+      </label>
+      <label className="field">Escala
+        <select value={scale.mode} onChange={(e) => onChange({ ...scale, mode: e.target.value })} style={{ width: 260 }}>
+          {Object.entries(HEATMAP_SCALE_MODES).map(([key, label]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+      </label>
+      {scale.mode === "absolute" && (
+        <label className="field">Tope fijo
+          <input type="number" min={0} step="any" placeholder="auto" value={maxText} onChange={(e) => changeMax(e.target.value)} />
+        </label>
+      )}
+      <p className="help" style={{ flexBasis: "100%", margin: 0 }}>
+        {scale.mode === "absolute"
+          ? "Todas las sesiones con la misma ponderación comparten el tope (con «Tiempo de permanencia», en segundos por m²); sin tope fijo se usa el mayor entre las sesiones abiertas."
+          : "Cada heatmap llega al color más intenso en su propio máximo: sirve para ver la forma, no para comparar sesiones."}
+        {" "}Viridis, cividis y magma se distinguen también con daltonismo.
+      </p>
+    </div>
+  );
+}
+
+// Capas de teselas (incluye servidores locales / MBTiles) y geocodificación
+function MapSettingsPanel({ settings, onChange, onClose }) {
+  const emptyProvider = { name: "", url: "", kind: "base", attribution: "", maxNativeZoom: 19 };
+  const [draft, setDraft] = useState(emptyProvider);
+  const [cacheSize, setCacheSize] = useState(geocodeCacheSize);
+  const { tileProviders } = settings;
+
+  const updateProvider = (id, changes) => {
+    onChange({ ...settings, tileProviders: tileProviders.map((p) => (p.id === id ? { ...p, ...changes } : p)) });
+  };
+  // Solo una capa base puede estar marcada por defecto
+  const setDefaultBase = (id) => {
+    onChange({
+      ...settings,
+      tileProviders: tileProviders.map((p) => (p.kind === "base" ? { ...p, checked: p.id === id } : p)),
+    });
+  };
+  const addProvider = () => {
+    if (!draft.name.trim() || !draft.url.includes("{z}")) return;
+    const provider = {
+      ...draft,
+      id: `custom-${Date.now()}`,
+      name: draft.name.trim(),
+      maxNativeZoom: draft.maxNativeZoom || undefined,
+      custom: true,
+      enabled: true,
+      checked: draft.kind === "overlay",
+    };
+    onChange({ ...settings, tileProviders: [...tileProviders, provider] });
+    setDraft(emptyProvider);
+  };
+  const removeProvider = (id) => {
+    onChange({ ...settings, tileProviders: tileProviders.filter((p) => p.id !== id) });
+  };
+
+  return (
+    <div className="card" style={{ padding: 20 }}>
+      <div className="modal__header">
+        <h3 className="modal__title">Ajustes de mapa</h3>
+        <button className="modal__close" onClick={onClose}>&times;</button>
+      </div>
+      <h4>Capas de teselas</h4>
+      <table className="table">
+        <thead>
+          <tr><th>Activa</th><th>Por defecto</th><th>Nombre</th><th>Tipo</th><th>URL</th><th></th></tr>
+        </thead>
+        <tbody>
+          {tileProviders.map((p) => (
+            <tr key={p.id}>
+              <td>
+                <input type="checkbox" checked={p.enabled} onChange={(e) => updateProvider(p.id, { enabled: e.target.checked })} />
+              </td>
+              <td>
+                {p.kind === "base" ? (
+                  <input type="radio" name="defaultBase" checked={p.checked} onChange={() => setDefaultBase(p.id)} />
+                ) : (
+                  <input type="checkbox" checked={p.checked} onChange={(e) => updateProvider(p.id, { checked: e.target.checked })} />
+                )}
+              </td>
+              <td>{p.name}</td>
+              <td>{p.kind === "base" ? "Base" : "Superpuesta"}</td>
+              <td style={{ wordBreak: 'break-all' }}><small>{p.url}</small></td>
+              <td>
+                {p.custom && (
+                  <button className="btn btn--secondary btn--small" onClick={() => removeProvider(p.id)}>Quitar</button>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div className="btn-row" style={{ alignItems: 'flex-end', marginTop: 8 }}>
+        <label className="field">Nombre
+          <input value={draft.name} onChange={(e) => setDraft({ ...draft, name: e.target.value })} />
+        </label>
+        <label className="field" style={{ flex: 1 }}>URL
+          <input
+            value={draft.url}
+            placeholder="http://localhost:8000/services/cancha/tiles/{z}/{x}/{y}.png"
+            onChange={(e) => setDraft({ ...draft, url: e.target.value })}
+            style={{ width: '100%' }}
+          />
+        </label>
+        <label className="field">Tipo
+          <select value={draft.kind} onChange={(e) => setDraft({ ...draft, kind: e.target.value })}>
+            <option value="base">Base</option>
+            <option value="overlay">Superpuesta</option>
+          </select>
+        </label>
+        <label className="field">Atribución
+          <input value={draft.attribution} onChange={(e) => setDraft({ ...draft, attribution: e.target.value })} />
+        </label>
+        <label className="field">Zoom máx. de las teselas
+          <input
+            type="number" min={1} max={22} value={draft.maxNativeZoom}
+            onChange={(e) => setDraft({ ...draft, maxNativeZoom: parseInt(e.target.value, 10) })}
+          />
+        </label>
+        <button className="btn btn--small" onClick={addProvider}>Agregar capa</button>
+      </div>
+      <p className="help">
+        Para trabajar sin conexión, serví las teselas desde un servidor local (por ejemplo, uno que publique un
+        archivo MBTiles) y usá su plantilla con {"{z}"}, {"{x}"} e {"{y}"}.
+      </p>
+      <h4 style={{ marginTop: 16 }}>Geocodificación inversa</h4>
+      <div className="btn-row" style={{ alignItems: 'flex-end' }}>
+        <label className="field">Servicio
+          <select value={settings.geocoder} onChange={(e) => onChange({ ...settings, geocoder: e.target.value })}>
+            {Object.entries(GEOCODERS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </label>
+        {settings.geocoder === "custom" && (
+          <label className="field" style={{ flex: 1 }}>URL base
+            <input
+              value={settings.geocoderUrl}
+              onChange={(e) => onChange({ ...settings, geocoderUrl: e.target.value })}
+              placeholder="Sin URL queda desactivada"
+              style={{ width: '100%' }}
+            />
+          </label>
+        )}
+        <button
+          className="btn btn--secondary btn--small"
+          onClick={() => {
+            clearGeocodeCache();
+            setCacheSize(0);
+          }}
+        >
+          Vaciar caché ({cacheSize} lugares)
+        </button>
+      </div>
+      <p className="help">Las consultas se hacen de a una por segundo y los lugares encontrados quedan guardados.</p>
+    </div>
+  );
+}
+
 function EmptyState() {
-  return <div className="card empty-state">Arrastra un archivo GPX aquí</div>;
+  return <div className="card empty-state">Arrastra un archivo GPX, TCX, FIT, KML, GeoJSON o una sesión exportada aquí</div>;
 }
 
 function FitBoundsOnLoad({ bounds }) {
@@ -258,34 +1295,466 @@ function FitBoundsOnLoad({ bounds }) {
   return null;
 }
 
-function LeafletMap({ bounds, overlayUrl }) {
+// La leyenda del heatmap como control de Leaflet; se rehace cuando cambia su contenido
+function LegendControl({ legend }) {
+  const map = useMap();
+  const html = renderToStaticMarkup(<HeatmapLegend legend={legend} />);
+  useEffect(() => {
+    const control = L.control({ position: "bottomright" });
+    control.onAdd = () => {
+      const div = L.DomUtil.create("div", "leaflet-control");
+      div.innerHTML = html;
+      return div;
+    };
+    control.addTo(map);
+    return () => control.remove();
+  }, [map, html]);
+  return null;
+}
+
+// Captura clics sobre el mapa mientras se marcan las esquinas de la cancha
+function CornerPicker({ onPick }) {
+  useMapEvents({
+    click(e) {
+      onPick([e.latlng.lat, e.latlng.lng]);
+    },
+  });
+  return null;
+}
+
+// Informa la capa base que se elige en el control de capas (por nombre)
+function BaseLayerWatcher({ onChange }) {
+  useMapEvents({
+    baselayerchange(e) {
+      onChange(e.name);
+    },
+  });
+  return null;
+}
+
+// Capa base que muestra el mapa de una sesión: la elegida si sigue activa o la de por defecto
+function sessionBaseLayer(tileProviders, baseLayerId) {
+  const bases = tileProviders.filter((p) => p.kind === "base");
+  return bases.find((p) => p.id === baseLayerId) || bases.find((p) => p.checked) || null;
+}
+
+// Recorrido coloreado por zona de velocidad; al pasar el mouse informa el punto más cercano
+function SpeedTrack({ track }) {
+  const { points, runs, onHover } = track;
+  const nearestIdx = (run, latlng) => {
+    const cos = Math.cos((latlng.lat * Math.PI) / 180);
+    let best = run.startIdx;
+    let bestDist = Infinity;
+    for (let i = run.startIdx; i < run.endIdx; i++) {
+      const d = (points[i].lat - latlng.lat) ** 2 + ((points[i].lon - latlng.lng) * cos) ** 2;
+      if (d < bestDist) {
+        bestDist = d;
+        best = i;
+      }
+    }
+    return best;
+  };
+  return (
+    <LayerGroup>
+      {runs.map((run) => (
+        <Polyline
+          key={run.startIdx}
+          positions={points.slice(run.startIdx, run.endIdx).map((p) => [p.lat, p.lon])}
+          pathOptions={{ color: SPEED_ZONE_COLORS[run.zone % SPEED_ZONE_COLORS.length], weight: 4 }}
+          eventHandlers={{
+            mousemove: (e) => onHover(nearestIdx(run, e.latlng)),
+            mouseout: () => onHover(null),
+          }}
+        />
+      ))}
+    </LayerGroup>
+  );
+}
+
+function LeafletMap({
+  tileProviders, bounds, overlayUrl, overlayBounds, pitchCorners, pickedCorners, onPickCorner, highlightPositions, replay,
+  track, trackChecked = false, hoverPosition, height = 420, zones, events, legend, baseLayerId, onBaseLayerChange,
+}) {
+  // Al volver a montar el mapa (p. ej. tras la vista "Cancha") se mantiene la base elegida
+  const base = sessionBaseLayer(tileProviders, baseLayerId);
   return (
-    <MapContainer bounds={bounds} scrollWheelZoom style={{ height: 420, width: "100%" }} maxZoom={22}>
+    <MapContainer bounds={bounds} scrollWheelZoom style={{ height, width: "100%" }} maxZoom={22}>
       <FitBoundsOnLoad bounds={bounds} />
+      {onBaseLayerChange && (
+        <BaseLayerWatcher
+          onChange={(name) => {
+            const provider = tileProviders.find((p) => p.kind === "base" && p.name === name);
+            if (provider) onBaseLayerChange(provider.id);
+          }}
+        />
+      )}
       <LayersControl position="topright">
-        <LayersControl.BaseLayer name="Mapa (OSM)">
-          <TileLayer url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png" attribution="© OpenStreetMap" maxZoom={22} />
-        </LayersControl.BaseLayer>
-        <LayersControl.BaseLayer checked name="Satélite (Esri)">
-          <TileLayer
-            url="https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}"
-            attribution="Tiles © Esri"
-            maxZoom={22}
-          />
-        </LayersControl.BaseLayer>
-        <LayersControl.Overlay checked name="Líneas y Referencias (Híbrido)">
-          <TileLayer
-            url="https://server.arcgisonline.com/ArcGIS/rest/services/Reference/World_Boundaries_and_Places/MapServer/tile/{z}/{y}/{x}"
-            attribution="Labels © Esri"
-            maxZoom={22}
-          />
-        </LayersControl.Overlay>
+        {tileProviders.map((p) => {
+          const Layer = p.kind === "base" ? LayersControl.BaseLayer : LayersControl.Overlay;
+          return (
+            <Layer key={p.id} checked={p.kind === "base" ? p === base : p.checked} name={p.name}>
+              <TileLayer url={p.url} attribution={p.attribution} maxNativeZoom={p.maxNativeZoom} maxZoom={22} />
+            </Layer>
+          );
+        })}
+        {track && (
+          <LayersControl.Overlay checked={trackChecked} name="Recorrido por velocidad">
+            <SpeedTrack track={track} />
+          </LayersControl.Overlay>
+        )}
       </LayersControl>
-      {overlayUrl && <ImageOverlay url={overlayUrl} bounds={bounds} opacity={1} />}
+      {overlayUrl && <ImageOverlay url={overlayUrl} bounds={overlayBounds || bounds} opacity={1} />}
+      {overlayUrl && legend && <LegendControl legend={legend} />}
+      {zones && zones.map((z) => (
+        <Polygon
+          key={z.number}
+          positions={z.positions}
+          pathOptions={{ color: "#fff", weight: 1, fillColor: "#ff9800", fillOpacity: z.fillOpacity }}
+        >
+          <MapTooltip permanent direction="center" className="zone-label">
+            {z.number} · {Math.round(z.share * 100)}%
+          </MapTooltip>
+        </Polygon>
+      ))}
+      {highlightPositions && (
+        <Polyline positions={highlightPositions} pathOptions={{ color: "#ffeb3b", weight: 5 }} />
+      )}
+      {replay && (
+        <>
+          {replay.trail.map((chunk, idx) => (
+            <Polyline
+              key={idx}
+              positions={chunk}
+              pathOptions={{ color: "#00e5ff", weight: 4, opacity: (idx + 1) / replay.trail.length }}
+            />
+          ))}
+          <CircleMarker center={replay.position} radius={7} pathOptions={{ color: "#fff", fillColor: "#00e5ff", fillOpacity: 1 }} />
+        </>
+      )}
+      {events && events.map((ev) => (
+        <Marker
+          key={ev.id}
+          position={ev.position}
+          icon={L.divIcon({
+            className: "event-pin",
+            html: `<span style="background:${ev.color}"><b>${ev.symbol}</b></span>`,
+            iconSize: [24, 24],
+            iconAnchor: [12, 24],
+          })}
+        >
+          <MapTooltip direction="top" offset={[0, -22]}>{formatElapsed(ev.time)} · {ev.title}</MapTooltip>
+        </Marker>
+      ))}
+      {hoverPosition && (
+        <CircleMarker center={hoverPosition} radius={6} pathOptions={{ color: "#fff", fillColor: "#ff5722", fillOpacity: 1 }} />
+      )}
+      {pitchCorners && !pickedCorners && (
+        <Polygon positions={pitchCorners} pathOptions={{ color: "#fff", weight: 2, fill: false, dashArray: "6 4" }} />
+      )}
+      {pickedCorners && (
+        <>
+          <CornerPicker onPick={onPickCorner} />
+          {pickedCorners.map((c, idx) => (
+            <CircleMarker key={idx} center={c} radius={6} pathOptions={{ color: "#fff", fillColor: "#0d6efd", fillOpacity: 1 }} />
+          ))}
+        </>
+      )}
     </MapContainer>
   );
 }
 
+// Cancha reglamentaria en metros: x a lo largo, y a lo ancho
+function PitchDiagram({ length, width, overlayUrl, highlight, replay, zones, children }) {
+  const pad = 4;
+  const cy = width / 2;
+  const line = { fill: "none", stroke: "#fff", strokeWidth: 0.3 };
+  const penaltyArc = (x, dir) => {
+    // Arco del área: circunferencia de 9,15 m alrededor del punto penal, fuera del área
+    const dx = 16.5 - 11;
+    const dy = Math.sqrt(9.15 * 9.15 - dx * dx);
+    const sweep = dir > 0 ? 1 : 0;
+    return `M ${x + dir * 16.5} ${cy - dy} A 9.15 9.15 0 0 ${sweep} ${x + dir * 16.5} ${cy + dy}`;
+  };
+  const ends = [{ x: 0, dir: 1 }, { x: length, dir: -1 }];
+  return (
+    <svg
+      xmlns="http://www.w3.org/2000/svg"
+      className="pitch"
+      viewBox={`${-pad} ${-pad} ${length + 2 * pad} ${width + 2 * pad}`}
+    >
+      <rect x={-pad} y={-pad} width={length + 2 * pad} height={width + 2 * pad} fill="#2e7d32" />
+      {overlayUrl && <image href={overlayUrl} x={0} y={0} width={length} height={width} preserveAspectRatio="none" />}
+      <rect x={0} y={0} width={length} height={width} {...line} />
+      <line x1={length / 2} y1={0} x2={length / 2} y2={width} {...line} />
+      <circle cx={length / 2} cy={cy} r={9.15} {...line} />
+      <circle cx={length / 2} cy={cy} r={0.4} fill="#fff" />
+      {ends.map(({ x, dir }) => (
+        <g key={x}>
+          <rect x={dir > 0 ? x : x - 16.5} y={cy - 20.16} width={16.5} height={40.32} {...line} />
+          <rect x={dir > 0 ? x : x - 5.5} y={cy - 9.16} width={5.5} height={18.32} {...line} />
+          <rect x={dir > 0 ? x - 2 : x} y={cy - 3.66} width={2} height={7.32} {...line} />
+          <circle cx={x + dir * 11} cy={cy} r={0.4} fill="#fff" />
+          <path d={penaltyArc(x, dir)} {...line} />
+        </g>
+      ))}
+      {[[0, 0], [0, width], [length, 0], [length, width]].map(([x, y]) => (
+        <circle key={`${x}-${y}`} cx={x} cy={y} r={1} {...line} />
+      ))}
+      {zones && zones.map((z) => (
+        <g key={z.number}>
+          <rect
+            x={z.rect.x} y={z.rect.y} width={z.rect.width} height={z.rect.height}
+            fill="#ff9800" fillOpacity={z.fillOpacity} stroke="#fff" strokeWidth={0.2} strokeDasharray="1 1"
+          />
+          <text
+            x={z.rect.x + z.rect.width / 2} y={z.rect.y + z.rect.height / 2}
+            fontSize={3} fill="#fff" textAnchor="middle" dominantBaseline="middle"
+          >
+            {z.number} · {Math.round(z.share * 100)}%
+          </text>
+        </g>
+      ))}
+      {highlight && (
+        <polyline points={highlight.map(([x, y]) => `${x},${y}`).join(" ")} fill="none" stroke="#ffeb3b" strokeWidth={0.6} />
+      )}
+      {replay && (
+        <g>
+          {replay.trail.map((chunk, idx) => (
+            <polyline
+              key={idx}
+              points={chunk.map(([x, y]) => `${x},${y}`).join(" ")}
+              fill="none"
+              stroke="#00e5ff"
+              strokeWidth={0.6}
+              strokeOpacity={(idx + 1) / replay.trail.length}
+            />
+          ))}
+          <circle cx={replay.position[0]} cy={replay.position[1]} r={1.2} fill="#00e5ff" stroke="#fff" strokeWidth={0.3} />
+        </g>
+      )}
+      {children}
+    </svg>
+  );
+}
+
+// Definición de la cancha: 4 esquinas sobre el mapa o largo × ancho
+function PitchControls({ session, pickedCorners, onStartPicking, onCancelPicking, onSetPitch, onSetView }) {
+  const { id, pitch, view } = session;
+  // Los inputs guardan texto (se pueden vaciar mientras se tipea); se validan al aplicar
+  const [length, setLength] = useState(String(pitch ? pitch.length : DEFAULT_PITCH.length));
+  const [width, setWidth] = useState(String(pitch ? pitch.width : DEFAULT_PITCH.width));
+
+  // Al marcar esquinas se miden las dimensiones; reflejarlas en los inputs
+  useEffect(() => {
+    if (pitch) {
+      setLength(String(pitch.length));
+      setWidth(String(pitch.width));
+    }
+  }, [pitch]);
+
+  const applyDimensions = () => {
+    const lengthValue = parseFloat(length);
+    const widthValue = parseFloat(width);
+    if (!(lengthValue > 0 && widthValue > 0)) {
+      const current = pitch || DEFAULT_PITCH;
+      setLength(String(current.length));
+      setWidth(String(current.width));
+      return;
+    }
+    onSetPitch(id, { corners: pitch ? pitch.corners : null, length: lengthValue, width: widthValue });
+  };
+
+  return (
+    <div className="control">
+      <div className="control__row">
+        <span className="control__label">Cancha</span>
+        {pitch && <span className="control__value">{Math.round(pitch.length)} × {Math.round(pitch.width)} m</span>}
+      </div>
+      {pickedCorners ? (
+        <>
+          <p className="help">Hacé clic en las 4 esquinas recorriendo el perímetro, empezando por una esquina de un arco ({pickedCorners.length}/4).</p>
+          <button className="btn btn--secondary btn--small" onClick={onCancelPicking}>Cancelar</button>
+        </>
+      ) : (
+        <>
+          <label className="field">Largo (m)
+            <input type="number" min={20} max={130} value={length} onChange={(e) => setLength(e.target.value)} />
+          </label>
+          <label className="field">Ancho (m)
+            <input type="number" min={10} max={100} value={width} onChange={(e) => setWidth(e.target.value)} />
+          </label>
+          <div className="btn-row" style={{ marginTop: 6 }}>
+            <button className="btn btn--secondary btn--small" onClick={applyDimensions}>Aplicar</button>
+            <button className="btn btn--secondary btn--small" onClick={onStartPicking} disabled={view === "pitch"}>Marcar esquinas</button>
+            {pitch && <button className="btn btn--secondary btn--small" onClick={() => onSetPitch(id, null)}>Quitar</button>}
+          </div>
+          {pitch && (
+            <label className="field">Vista
+              <select value={view} onChange={(e) => onSetView(id, e.target.value)}>
+                <option value="map">Mapa</option>
+                <option value="pitch">Cancha</option>
+              </select>
+            </label>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+// Fases detectadas automáticamente: se pueden ajustar antes de convertirlas en segmentos
+function PhaseReview({ phases, processedPoints, onConfirm, onDismiss }) {
+  const last = processedPoints.length - 1;
+  const boundaryTime = (idx) => processedPoints[Math.min(idx, last)].elapsedSeconds;
+  const [rows, setRows] = useState(() =>
+    phases.map((p) => ({
+      label: p.label,
+      start: formatElapsed(boundaryTime(p.startIdx)),
+      end: formatElapsed(boundaryTime(p.endIdx)),
+    }))
+  );
+
+  const updateRow = (idx, field, value) => {
+    setRows((cur) => cur.map((r, i) => (i === idx ? { ...r, [field]: value } : r)));
+  };
+
+  const toSegments = () =>
+    rows
+      .map((r) => {
+        const start = parseElapsed(r.start);
+        const end = parseElapsed(r.end);
+        if (isNaN(start) || isNaN(end) || end <= start) return null;
+        const endIdx = end >= processedPoints[last].elapsedSeconds ? last + 1 : indexAtElapsed(processedPoints, end);
+        return { label: r.label, startIdx: indexAtElapsed(processedPoints, start), endIdx, phase: true };
+      })
+      .filter((seg) => seg && seg.endIdx > seg.startIdx);
+
+  if (phases.length === 0) {
+    return (
+      <div className="session__panel">
+        <h4>Fases del partido</h4>
+        <p className="help">No se detectaron pausas que separen las fases del partido.</p>
+        <button className="btn btn--secondary btn--small" onClick={onDismiss}>Cerrar</button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="session__panel">
+      <h4>Fases detectadas</h4>
+      <table className="table">
+        <thead>
+          <tr><th>Fase</th><th>Inicio (mm:ss)</th><th>Fin (mm:ss)</th></tr>
+        </thead>
+        <tbody>
+          {rows.map((r, idx) => (
+            <tr key={r.label}>
+              <td>{r.label}</td>
+              <td><input value={r.start} onChange={(e) => updateRow(idx, "start", e.target.value)} /></td>
+              <td><input value={r.end} onChange={(e) => updateRow(idx, "end", e.target.value)} /></td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div className="btn-row" style={{ marginTop: 8 }}>
+        <button className="btn btn--small" onClick={() => onConfirm(toSegments())}>Confirmar fases</button>
+        <button className="btn btn--secondary btn--small" onClick={onDismiss}>Descartar</button>
+      </div>
+    </div>
+  );
+}
+
+// Capa de recorrido por velocidad del segmento seleccionado, lista para LeafletMap
+function useSpeedTrack(session, zones, onHover) {
+  const { id, points, processedPoints } = session;
+  const [startIdx, endIdx] = selectedSegmentRange(session);
+  const runs = useMemo(
+    () => (processedPoints ? speedTrackRuns(processedPoints, startIdx, endIdx, zones) : null),
+    [processedPoints, startIdx, endIdx, zones]
+  );
+  return runs ? { points, runs, onHover: (idx) => onHover(id, idx) } : null;
+}
+
+// Reproducción animada del segmento seleccionado con barra de tiempo
+function ReplayControls({ session, onSeek }) {
+  const { id, processedPoints, cursorIdx } = session;
+  const [startIdx, endIdx] = selectedSegmentRange(session);
+  const lastIdx = endIdx - 1;
+  const [playing, setPlaying] = useState(false);
+  const [rate, setRate] = useState(10);
+  const clockRef = useRef(0); // elapsedSeconds de la posición reproducida
+  const shownIdxRef = useRef(cursorIdx);
+  const onSeekRef = useRef(onSeek); // El callback cambia en cada render; no reiniciar la animación por eso
+  useEffect(() => {
+    onSeekRef.current = onSeek;
+  });
+
+  useEffect(() => {
+    if (!playing) return;
+    let frame;
+    let last = performance.now();
+    const tick = (now) => {
+      clockRef.current += ((now - last) / 1000) * rate;
+      last = now;
+      const idx = Math.min(indexAtElapsed(processedPoints, clockRef.current), lastIdx);
+      if (idx !== shownIdxRef.current) {
+        shownIdxRef.current = idx;
+        onSeekRef.current(id, idx);
+      }
+      if (idx >= lastIdx) {
+        setPlaying(false);
+        return;
+      }
+      frame = requestAnimationFrame(tick);
+    };
+    frame = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frame);
+  }, [playing, rate, id, processedPoints, lastIdx]);
+
+  const seek = (idx) => {
+    shownIdxRef.current = idx;
+    clockRef.current = processedPoints[idx].elapsedSeconds;
+    onSeek(id, idx);
+  };
+
+  const togglePlay = () => {
+    if (playing) {
+      setPlaying(false);
+      return;
+    }
+    const from = cursorIdx === null || cursorIdx < startIdx || cursorIdx >= lastIdx ? startIdx : cursorIdx;
+    seek(from);
+    setPlaying(true);
+  };
+
+  const stop = () => {
+    setPlaying(false);
+    shownIdxRef.current = null;
+    onSeek(id, null);
+  };
+
+  const current = cursorIdx === null ? startIdx : Math.min(Math.max(cursorIdx, startIdx), lastIdx);
+  return (
+    <div className="session__panel btn-row" style={{ alignItems: 'center' }}>
+      <button className="btn btn--small" onClick={togglePlay}>{playing ? "Pausa" : "Reproducir"}</button>
+      <button className="btn btn--secondary btn--small" onClick={stop} disabled={cursorIdx === null}>Detener</button>
+      <input
+        type="range"
+        className="slider"
+        style={{ flex: 1, width: 'auto' }}
+        min={startIdx}
+        max={lastIdx}
+        value={current}
+        onChange={(e) => seek(parseInt(e.target.value, 10))}
+      />
+      <span style={{ minWidth: 50 }}>{formatElapsed(processedPoints[current].elapsedSeconds)}</span>
+      <select value={rate} onChange={(e) => setRate(parseFloat(e.target.value))}>
+        {REPLAY_RATES.map((r) => <option key={r} value={r}>{r}×</option>)}
+      </select>
+    </div>
+  );
+}
+
 function ControlNumber({ label, value, min, max, step, onChange }) {
   return (
     <div className="control">
@@ -301,10 +1770,118 @@ function ControlNumber({ label, value, min, max, step, onChange }) {
       />
     </div>
   );
-}
+}
+
+function SessionBlock({
+  session, onChangeParams, onAnalyzeClick, onSelectSegment, onSetPitch, onSetView,
+  onDetectPhases, onConfirmPhases, onDismissPhases, onHighlight, onSetFilter, onCloseSession, onExportReport,
+  onSeek, speedZones, onHover, onSetZoneGrid, onSetSegmentMirrored, onExportSession, tileProviders, onSetBaseLayer,
+}) {
+  const {
+    id, fileName, startTime, place, bounds, params, overlayUrl, overlayBounds, overlayScale, segments,
+    selectedSegmentIdx, points, processedPoints, pitch, view, detectedPhases, highlight, filter, cursorIdx,
+    hoverIdx, zoneGrid, rawPoints, dropped, baseLayerId,
+  } = session;
+  const [pickedCorners, setPickedCorners] = useState(null); // null = no se están marcando esquinas
+  const [zoneRectCorners, setZoneRectCorners] = useState(null); // null = no se está dibujando el rectángulo
+  const [sideSwitchDismissed, setSideSwitchDismissed] = useState(false);
+  const [showQuality, setShowQuality] = useState(false);
+  const [gapSeconds, setGapSeconds] = useState(DEFAULT_GAP_SECONDS);
+
+  // Diagnóstico de los datos tal cual vienen del archivo (antes del filtro GPS)
+  const diagnostics = useMemo(() => diagnoseTrack(rawPoints, dropped, gapSeconds), [rawPoints, dropped, gapSeconds]);
+
+  const pitchCorners = useMemo(
+    () => (pitch ? pitch.corners || estimatePitchCorners(points, pitch.length, pitch.width) : null),
+    [pitch, points]
+  );
+
+  const pitchProjection = useMemo(() => (pitch ? buildPitchProjection(pitch, points) : null), [pitch, points]);
+
+  // Tramo resaltado (p. ej. un sprint elegido en el análisis)
+  const highlightPoints = highlight ? points.slice(highlight.startIdx, highlight.endIdx) : null;
+  const highlightPositions = highlightPoints ? highlightPoints.map((p) => [p.lat, p.lon]) : null;
+  const highlightOnPitch = highlightPoints && pitchProjection
+    ? highlightPoints.map((p) => pitchProjection(p.lat, p.lon))
+    : null;
+
+  // Posición y estela de la reproducción
+  const trail = cursorIdx !== null && processedPoints
+    ? replayTrail(processedPoints, points, cursorIdx, selectedSegmentRange(session)[0])
+    : null;
+  const replayOnMap = trail
+    ? { position: [points[cursorIdx].lat, points[cursorIdx].lon], trail: trail.map((c) => c.map((p) => [p.lat, p.lon])) }
+    : null;
+  const replayOnPitch = trail && pitchProjection
+    ? {
+        position: pitchProjection(points[cursorIdx].lat, points[cursorIdx].lon),
+        trail: trail.map((c) => c.map((p) => pitchProjection(p.lat, p.lon))),
+      }
+    : null;
+
+  const track = useSpeedTrack(session, speedZones, onHover);
+
+  // Ocupación por zonas del segmento seleccionado y su dibujo sobre el mapa y la cancha
+  const [segStartIdx, segEndIdx] = selectedSegmentRange(session);
+  // Con segmentos invertidos, las zonas se cuentan sobre los puntos ya orientados; el área
+  // "recorrido" también sale de ellos para que no queden puntos reflejados fuera de la grilla
+  const oriented = useMemo(() => orientedPoints({ points, segments, pitch }), [points, segments, pitch]);
+  const zoneArea = useMemo(
+    () => (points.length ? zoneAreaGeometry(zoneGrid, pitch, zoneGrid.area === "pitch" ? points : oriented) : null),
+    [zoneGrid, pitch, points, oriented]
+  );
+  const zones = useMemo(() => {
+    if (!zoneArea || !processedPoints) return null;
+    const project = buildPitchProjection(zoneArea, points);
+    if (!project) return null;
+    return computeZoneOccupancy(
+      processedPoints, oriented, project, zoneArea, zoneGrid.cols, zoneGrid.rows, segStartIdx, segEndIdx
+    );
+  }, [zoneArea, zoneGrid.cols, zoneGrid.rows, points, oriented, processedPoints, segStartIdx, segEndIdx]);
+  const sideSwitchIdx = useMemo(
+    () => (sideSwitchDismissed ? null : suggestSideSwitch({ points, segments, pitch })),
+    [sideSwitchDismissed, points, segments, pitch]
+  );
+  const zoneShapes = useMemo(() => {
+    if (!zones || !zoneGrid.show) return null;
+    const unproject = buildPitchUnprojection(zoneArea, points);
+    if (!unproject) return null;
+    const maxShare = Math.max(...zones.map((z) => z.share)) || 1;
+    const w = zoneArea.length / zoneGrid.cols;
+    const h = zoneArea.width / zoneGrid.rows;
+    return zones.map((z) => {
+      const rect = { x: z.col * w, y: z.row * h, width: w, height: h };
+      return {
+        ...z,
+        rect,
+        positions: [[rect.x, rect.y], [rect.x, rect.y + h], [rect.x + w, rect.y + h], [rect.x + w, rect.y]]
+          .map(([x, y]) => unproject(x, y)),
+        fillOpacity: (0.6 * z.share) / maxShare,
+      };
+    });
+  }, [zones, zoneArea, zoneGrid.show, zoneGrid.cols, zoneGrid.rows, points]);
 
-function SessionBlock({ session, onChangeParams, onAnalyzeClick, onSelectSegment }) {
-  const { id, fileName, startTime, place, bounds, params, overlayUrl, segments, selectedSegmentIdx } = session;
+  const handlePickZoneCorner = (latlng) => {
+    const next = [...zoneRectCorners, latlng];
+    if (next.length < 2) {
+      setZoneRectCorners(next);
+      return;
+    }
+    setZoneRectCorners(null);
+    const [[lat1, lon1], [lat2, lon2]] = next;
+    const rect = [[Math.min(lat1, lat2), Math.min(lon1, lon2)], [Math.max(lat1, lat2), Math.max(lon1, lon2)]];
+    onSetZoneGrid(id, { ...zoneGrid, area: "rect", rect });
+  };
+
+  const handlePickCorner = (latlng) => {
+    const next = [...pickedCorners, latlng];
+    if (next.length < 4) {
+      setPickedCorners(next);
+      return;
+    }
+    setPickedCorners(null);
+    onSetPitch(id, { corners: next, ...measurePitchCorners(next) });
+  };
 
   const handleParamChange = (paramName, value) => {
     onChangeParams(id, { ...params, [paramName]: value });
@@ -316,8 +1893,36 @@ function SessionBlock({ session, onChangeParams, onAnalyzeClick, onSelectSegment
     <details open className="card session">
       <summary>
         {fileName} <small>{place} - {formatDate(startTime)}</small>
+        <button
+          className="quality-badge"
+          style={{ background: diagnostics.level.color }}
+          title="Calidad de los datos: ver diagnóstico"
+          onClick={(e) => {
+            e.preventDefault();
+            setShowQuality((cur) => !cur);
+          }}
+        >
+          Calidad {diagnostics.score} · {diagnostics.level.label}
+        </button>
+        <button
+          className="btn btn--secondary btn--small"
+          onClick={(e) => {
+            e.preventDefault(); // No plegar el bloque
+            onCloseSession(id);
+          }}
+        >
+          Cerrar
+        </button>
       </summary>
       <div className="session__content">
+        {showQuality && (
+          <QualityPanel
+            diagnostics={diagnostics}
+            onSetGapSeconds={setGapSeconds}
+            onShow={(startIdx, endIdx) => onHighlight(id, { startIdx, endIdx })}
+            onClose={() => setShowQuality(false)}
+          />
+        )}
         <div className="controls">
           {segments && segments.length > 1 && (
             <div className="control">
@@ -330,16 +1935,53 @@ function SessionBlock({ session, onChangeParams, onAnalyzeClick, onSelectSegment
                 style={{width: '100%', padding: '8px', marginTop: '6px', borderRadius: '8px'}}
               >
                 {segments.map((seg, idx) => (
-                  <option key={seg.label} value={idx}>
+                  <option key={idx} value={idx}>
                     {seg.label}
                   </option>
                 ))}
               </select>
             </div>
           )}
+          <label className="field">Filtro GPS
+            <select value={filter} onChange={(e) => onSetFilter(id, e.target.value)} style={{ width: 110 }}>
+              {Object.entries(GPS_FILTERS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </label>
+          <label className="field">Ponderación
+            <select value={params.weighting} onChange={(e) => handleParamChange('weighting', e.target.value)} style={{ width: 110 }}>
+              {Object.entries(HEATMAP_WEIGHTINGS)
+                .filter(([value]) => value !== "hr" || hasChannel(processedPoints, "hr"))
+                .map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+            </select>
+          </label>
+          {params.weighting === "intensity" && (
+            <ControlNumber
+              label="Umbral (km/h)"
+              value={params.intensityThreshold}
+              min={5} max={35} step={0.5}
+              onChange={v => handleParamChange('intensityThreshold', v)}
+            />
+          )}
           <ControlNumber label="Radius" value={params.radius} min={1} max={100} step={1} onChange={v => handleParamChange('radius', v)} />
           <ControlNumber label="Max Opacity" value={params.maxOpacity} min={0} max={100} step={1} onChange={v => handleParamChange('maxOpacity', v)} />
           <ControlNumber label="Blur" value={params.blur} min={0} max={100} step={1} onChange={v => handleParamChange('blur', v)} />
+          {processedPoints && !detectedPhases && (
+            <button className="btn btn--secondary btn--small" onClick={() => onDetectPhases(id)}>
+              Detectar fases
+            </button>
+          )}
+          <PitchControls
+            session={session}
+            pickedCorners={pickedCorners}
+            onStartPicking={() => setPickedCorners([])}
+            onCancelPicking={() => setPickedCorners(null)}
+            onSetPitch={onSetPitch}
+            onSetView={onSetView}
+          />
           {/* Botón para abrir el modal de análisis */}
           <button
             className="btn btn--secondary"
@@ -348,25 +1990,915 @@ function SessionBlock({ session, onChangeParams, onAnalyzeClick, onSelectSegment
           >
             Analizar Actividad
           </button>
+          <div className="btn-row">
+            <button className="btn btn--secondary btn--small" onClick={() => onExportReport(id, "png")}>Informe PNG</button>
+            <button className="btn btn--secondary btn--small" onClick={() => onExportReport(id, "pdf")}>Informe PDF</button>
+          </div>
+          <div className="btn-row">
+            <button className="btn btn--secondary btn--small" onClick={() => onExportSession(id, false)}>Sesión (.json)</button>
+            {canGzip && (
+              <button className="btn btn--secondary btn--small" onClick={() => onExportSession(id, true)}>Sesión (.gz)</button>
+            )}
+          </div>
+          {highlight && (
+            <button className="btn btn--secondary btn--small" onClick={() => onHighlight(id, null)}>
+              Quitar resaltado
+            </button>
+          )}
           <p className="help">Ajusta los parámetros para regenerar el heatmap.</p>
         </div>
         <div className="mapWrap">
-          {bounds && <LeafletMap bounds={bounds} overlayUrl={overlayUrl} />}
+          {view === "pitch" && pitch ? (
+            <>
+              <PitchDiagram
+                length={pitch.length}
+                width={pitch.width}
+                overlayUrl={overlayUrl}
+                highlight={highlightOnPitch}
+                replay={replayOnPitch}
+                zones={zoneGrid.area === "pitch" ? zoneShapes : null}
+              />
+              {overlayUrl && overlayScale && (
+                <div className="mapWrap__legend"><HeatmapLegend legend={overlayScale} /></div>
+              )}
+            </>
+          ) : (
+            bounds && (
+              <LeafletMap
+                tileProviders={tileProviders}
+                bounds={bounds}
+                overlayUrl={overlayUrl}
+                overlayBounds={overlayBounds}
+                pitchCorners={pitchCorners}
+                pickedCorners={pickedCorners || zoneRectCorners}
+                onPickCorner={pickedCorners ? handlePickCorner : handlePickZoneCorner}
+                highlightPositions={highlightPositions}
+                replay={replayOnMap}
+                track={track}
+                hoverPosition={hoverIdx !== null ? [points[hoverIdx].lat, points[hoverIdx].lon] : null}
+                zones={zoneShapes}
+                events={eventPins(session)}
+                legend={overlayScale}
+                baseLayerId={baseLayerId}
+                onBaseLayerChange={(providerId) => onSetBaseLayer(id, providerId)}
+              />
+            )
+          )}
         </div>
+        {processedPoints && <SegmentStatsPanel session={session} />}
+        {processedPoints && (
+          <ZoneGridPanel
+            session={session}
+            zones={zones}
+            drawingRect={zoneRectCorners}
+            onStartDrawing={() => setZoneRectCorners([])}
+            onCancelDrawing={() => setZoneRectCorners(null)}
+            onSetZoneGrid={onSetZoneGrid}
+          />
+        )}
+        {sideSwitchIdx !== null && (
+          <div className="session__panel btn-row" style={{ alignItems: 'center' }}>
+            <span style={{ flex: 1 }}>
+              En «{segments[sideSwitchIdx].label}» el jugador ocupa la otra mitad de la cancha: parece que cambiaron de arco.
+            </span>
+            <button className="btn btn--small" onClick={() => onSetSegmentMirrored(id, sideSwitchIdx, true)}>
+              Invertir «{segments[sideSwitchIdx].label}»
+            </button>
+            <button className="btn btn--secondary btn--small" onClick={() => setSideSwitchDismissed(true)}>Ignorar</button>
+          </div>
+        )}
+        {processedPoints && <ReplayControls session={session} onSeek={onSeek} />}
+        {detectedPhases && (
+          <PhaseReview
+            key={JSON.stringify(detectedPhases)}
+            phases={detectedPhases}
+            processedPoints={processedPoints}
+            onConfirm={(phases) => onConfirmPhases(id, phases)}
+            onDismiss={() => onDismissPhases(id)}
+          />
+        )}
       </div>
     </details>
   );
 }
 
-// --- MODAL DE ANÁLISIS (SIMPLIFICADO) ---
-function AnalysisModal({ session, onClose }) {
-  // Formateadores para el gráfico (sin cambios)
-  const formatXAxis = (seconds) => {
-    const mins = Math.floor(seconds / 60);
-    const secs = Math.floor(seconds % 60);
-    return `${String(mins).padStart(2, '0')}:${String(secs).padStart(2, '0')}`;
+const QUALITY_LIST_LIMIT = 10;
+
+// Diagnóstico de importación: qué se descartó del archivo y cuán confiables son los datos.
+// onShow resalta un tramo (un hueco o un salto) en el mapa.
+function QualityPanel({ diagnostics, onSetGapSeconds, onShow, onClose }) {
+  const { dropped, sampling, gaps, implausible, accuracy, gapSeconds } = diagnostics;
+  const rows = [
+    ["Puntos leídos", `${diagnostics.keptPoints} de ${diagnostics.totalPoints}`],
+    ["Descartados sin hora", dropped.noTime],
+    ["Descartados sin posición", dropped.noPosition],
+    ["Hora repetida / hacia atrás", `${diagnostics.duplicates} / ${diagnostics.backwards}`],
+    ["Muestreo", sampling
+      ? `cada ${sampling.median.toFixed(1)} s (media ${sampling.mean.toFixed(2)} s, de ${sampling.min} a ${sampling.max} s)`
+      : "—"],
+    [`Huecos de más de ${gapSeconds} s`, `${gaps.length} (${formatElapsed(diagnostics.gapTotal)} en total)`],
+    [`Velocidades imposibles (más de ${implausible.limit} km/h)`, implausible.count
+      ? `${implausible.count} (máx. ${implausible.maxSpeed.toFixed(0)} km/h)`
+      : "0"],
+    ["Precisión GPS estimada", accuracy !== null ? `±${accuracy.toFixed(1)} m` : "—"],
+  ];
+  // Lo tipeado queda como texto hasta salir del campo, así se puede borrar y reescribir
+  const [gapDraft, setGapDraft] = useState(String(gapSeconds));
+  const commitGapSeconds = () => {
+    const value = parseInt(gapDraft, 10);
+    if (!(value >= 1)) {
+      setGapDraft(String(gapSeconds));
+      return;
+    }
+    setGapDraft(String(value));
+    if (value !== gapSeconds) onSetGapSeconds(value);
+  };
+
+  return (
+    <div className="session__panel">
+      <div className="btn-row" style={{ alignItems: 'center' }}>
+        <h4 style={{ flex: 1 }}>
+          Calidad de los datos: <span style={{ color: diagnostics.level.color }}>{diagnostics.score} / 100 ({diagnostics.level.label})</span>
+        </h4>
+        <label className="field">Hueco mínimo (s)
+          <input
+            type="number" min={1} max={600} value={gapDraft}
+            onChange={(e) => setGapDraft(e.target.value)}
+            onBlur={commitGapSeconds}
+            onKeyDown={(e) => e.key === "Enter" && commitGapSeconds()}
+          />
+        </label>
+        <button className="btn btn--secondary btn--small" onClick={onClose}>Cerrar</button>
+      </div>
+      <table className="table">
+        <tbody>
+          {rows.map(([label, value]) => (
+            <tr key={label}><th>{label}</th><td>{value}</td></tr>
+          ))}
+        </tbody>
+      </table>
+      {gaps.length > 0 && (
+        <>
+          <h4 style={{ marginTop: 12 }}>Huecos</h4>
+          <table className="table">
+            <thead><tr><th>Inicio</th><th>Duración</th><th></th></tr></thead>
+            <tbody>
+              {gaps.slice(0, QUALITY_LIST_LIMIT).map((gap) => (
+                <tr key={gap.startIdx}>
+                  <td>{formatElapsed(gap.start)}</td>
+                  <td>{gap.duration.toFixed(0)} s</td>
+                  <td><button className="btn btn--secondary btn--small" onClick={() => onShow(gap.startIdx, gap.startIdx + 2)}>Ver</button></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+      {implausible.count > 0 && (
+        <>
+          <h4 style={{ marginTop: 12 }}>Saltos de posición</h4>
+          <table className="table">
+            <thead><tr><th>Momento</th><th>Velocidad</th><th></th></tr></thead>
+            <tbody>
+              {implausible.jumps.slice(0, QUALITY_LIST_LIMIT).map((jump) => (
+                <tr key={jump.idx}>
+                  <td>{formatElapsed(jump.start)}</td>
+                  <td>{jump.speed.toFixed(0)} km/h</td>
+                  <td><button className="btn btn--secondary btn--small" onClick={() => onShow(jump.idx - 1, jump.idx + 1)}>Ver</button></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+      {(gaps.length > QUALITY_LIST_LIMIT || implausible.count > QUALITY_LIST_LIMIT) && (
+        <p className="help">Se muestran los primeros {QUALITY_LIST_LIMIT} de cada lista.</p>
+      )}
+      <p className="help">
+        La precisión se estima con el desvío de cada punto respecto de sus vecinos; los saltos imposibles los
+        corrige el filtro «{GPS_FILTERS.gate}».
+      </p>
+    </div>
+  );
+}
+
+// Archivos del último lote que no se pudieron importar, con el motivo
+function ImportErrors({ errors, onClose }) {
+  return (
+    <div className="card" style={{ padding: 20 }}>
+      <div className="modal__header">
+        <h3 className="modal__title">No se importaron {errors.length} archivo(s)</h3>
+        <button className="modal__close" onClick={onClose}>&times;</button>
+      </div>
+      <table className="table">
+        <tbody>
+          {errors.map((error, idx) => (
+            <tr key={idx}><th>{error.fileName}</th><td>{error.message}</td></tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+// Variación relativa como porcentaje con signo; "—" si no se puede comparar
+function formatChange(change) {
+  if (change === null) return "—";
+  return `${change > 0 ? "+" : ""}${(change * 100).toFixed(0)} %`;
+}
+
+// Números del segmento seleccionado: totales, ritmo por bloques y la comparación entre el
+// principio y el final de cada tiempo.
+function SegmentStatsPanel({ session }) {
+  const { processedPoints, segments, selectedSegmentIdx } = session;
+  const [blockMinutes, setBlockMinutes] = useState(WORK_RATE_BLOCK_MINUTES[0]);
+  const segment = segments[selectedSegmentIdx] || segments[0];
+  const [startIdx, endIdx] = selectedSegmentRange(session);
+  const highSpeedKmh = WORK_RATE_HIGH_SPEED_KMH;
+
+  const totals = useMemo(
+    () => rangeWorkload(processedPoints, startIdx, endIdx, highSpeedKmh),
+    [processedPoints, startIdx, endIdx, highSpeedKmh]
+  );
+  const blocks = useMemo(
+    () => workRateBlocks(processedPoints, startIdx, endIdx, blockMinutes, highSpeedKmh).map((b) => ({
+      ...b,
+      label: `${b.start / 60}–${b.start / 60 + blockMinutes}′`,
+    })),
+    [processedPoints, startIdx, endIdx, blockMinutes, highSpeedKmh]
+  );
+  // Con la actividad completa se comparan los dos tiempos; con otro segmento, ese segmento
+  const fatigue = useMemo(() => {
+    const halves = matchHalves(segments);
+    const targets = selectedSegmentIdx === 0 && halves.length
+      ? halves
+      : [{ label: segment.label, startIdx, endIdx }];
+    return targets
+      .map((seg) => ({
+        label: seg.label,
+        startIdx: seg.startIdx,
+        ...fatigueComparison(processedPoints, seg.startIdx, seg.endIdx, highSpeedKmh),
+      }))
+      .filter((row) => row.first);
+  }, [processedPoints, segments, selectedSegmentIdx, segment.label, startIdx, endIdx, highSpeedKmh]);
+
+  const movingShare = totals.duration > 0 ? Math.round((totals.moving / totals.duration) * 100) : 0;
+  const figures = [
+    ["Duración", formatElapsed(totals.duration)],
+    ["En movimiento", `${formatElapsed(totals.moving)} (${movingShare} %)`],
+    ["Distancia", `${(totals.distance / 1000).toFixed(2)} km`],
+    ["Distancia por minuto", `${totals.metersPerMinute.toFixed(0)} m/min`],
+    ["Velocidad media", `${totals.avgSpeed.toFixed(1)} km/h (${totals.movingAvgSpeed.toFixed(1)} en movimiento)`],
+    ["Velocidad máxima", `${totals.maxSpeed.toFixed(1)} km/h`],
+    [`Alta intensidad (≥ ${highSpeedKmh} km/h)`, `${totals.highSpeed.toFixed(0)} m (${totals.highSpeedPerMinute.toFixed(1)} m/min)`],
+  ];
+
+  return (
+    <div className="session__panel">
+      <h4>Resumen — {segment.label}</h4>
+      <div className="stat-grid">
+        {figures.map(([label, value]) => (
+          <div key={label}><small>{label}</small><b>{value}</b></div>
+        ))}
+      </div>
+      <div className="btn-row" style={{ alignItems: 'center', marginTop: 12 }}>
+        <h4 style={{ flex: 1, margin: 0 }}>Ritmo de trabajo (m/min)</h4>
+        <label className="field">Bloques
+          <select value={blockMinutes} onChange={(e) => setBlockMinutes(parseInt(e.target.value, 10))}>
+            {WORK_RATE_BLOCK_MINUTES.map((m) => <option key={m} value={m}>{m} min</option>)}
+          </select>
+        </label>
+      </div>
+      <div style={{ height: 200 }}>
+        <ResponsiveContainer width="100%" height="100%">
+          <BarChart data={blocks} margin={{ top: 5, right: 20, left: -20, bottom: 5 }}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="label" />
+            <YAxis />
+            <Tooltip formatter={(v) => (typeof v === "number" ? `${v.toFixed(0)} m/min` : "—")} />
+            <Legend verticalAlign="top" height={30} />
+            <Bar dataKey="metersPerMinute" name="Distancia" fill="#8884d8" isAnimationActive={false} />
+            <Bar dataKey="highSpeedPerMinute" name="Alta intensidad" fill="#e53935" isAnimationActive={false} />
+            <ReferenceLine y={totals.metersPerMinute} stroke="#6c757d" strokeDasharray="4 4" />
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+      {fatigue.length > 0 && (
+        <>
+          <h4 style={{ marginTop: 12 }}>Principio vs. final</h4>
+          <table className="table">
+            <thead>
+              <tr><th>Segmento</th><th>Tramos</th><th>m/min</th><th>Alta int. (m/min)</th><th>Vel. máx. (km/h)</th></tr>
+            </thead>
+            <tbody>
+              {fatigue.map((row) => (
+                <tr key={row.startIdx}>
+                  <td>{row.label}</td>
+                  <td>primeros y últimos {Math.round(row.window / 60)} min</td>
+                  <td>
+                    {row.first.metersPerMinute.toFixed(0)} → {row.last.metersPerMinute.toFixed(0)} ({formatChange(row.change.metersPerMinute)})
+                  </td>
+                  <td>
+                    {row.first.highSpeedPerMinute.toFixed(1)} → {row.last.highSpeedPerMinute.toFixed(1)} ({formatChange(row.change.highSpeedPerMinute)})
+                  </td>
+                  <td>
+                    {row.first.maxSpeed.toFixed(1)} → {row.last.maxSpeed.toFixed(1)} ({formatChange(row.change.maxSpeed)})
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+    </div>
+  );
+}
+
+// Configuración de la grilla de zonas y tabla de ocupación del segmento seleccionado
+function ZoneGridPanel({ session, zones, drawingRect, onStartDrawing, onCancelDrawing, onSetZoneGrid }) {
+  const { id, pitch, zoneGrid } = session;
+  const update = (changes) => onSetZoneGrid(id, { ...zoneGrid, ...changes });
+  const setPreset = (preset) => {
+    const grid = ZONE_GRIDS[preset];
+    update(grid.cols ? { preset, cols: grid.cols, rows: grid.rows } : { preset });
+  };
+  const setSize = (key, value) => {
+    if (Number.isInteger(value) && value >= 1 && value <= 10) update({ [key]: value });
+  };
+  const segment = session.segments[session.selectedSegmentIdx] || session.segments[0];
+
+  return (
+    <div className="session__panel">
+      <h4>Zonas — {segment.label}</h4>
+      <div className="btn-row">
+        <label className="field">Grilla
+          <select value={zoneGrid.preset} onChange={(e) => setPreset(e.target.value)}>
+            {Object.entries(ZONE_GRIDS).map(([value, grid]) => (
+              <option key={value} value={value}>{grid.label}</option>
+            ))}
+          </select>
+        </label>
+        {zoneGrid.preset === "custom" && (
+          <>
+            <label className="field">Largo
+              <input type="number" min={1} max={10} value={zoneGrid.cols} onChange={(e) => setSize("cols", parseInt(e.target.value, 10))} />
+            </label>
+            <label className="field">Ancho
+              <input type="number" min={1} max={10} value={zoneGrid.rows} onChange={(e) => setSize("rows", parseInt(e.target.value, 10))} />
+            </label>
+          </>
+        )}
+        <label className="field">Área
+          <select value={zoneGrid.area} onChange={(e) => update({ area: e.target.value })}>
+            {Object.entries(ZONE_AREAS)
+              .filter(([value]) => value !== "pitch" || pitch)
+              .map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+          </select>
+        </label>
+        {zoneGrid.area === "rect" && (
+          drawingRect ? (
+            <button className="btn btn--secondary btn--small" onClick={onCancelDrawing}>Cancelar</button>
+          ) : (
+            <button className="btn btn--secondary btn--small" onClick={onStartDrawing} disabled={session.view === "pitch"}>
+              Dibujar rectángulo
+            </button>
+          )
+        )}
+        <label className="field">
+          <input type="checkbox" checked={zoneGrid.show} onChange={(e) => update({ show: e.target.checked })} /> Mostrar en el mapa
+        </label>
+      </div>
+      {drawingRect && (
+        <p className="help">Hacé clic en dos esquinas opuestas del rectángulo ({drawingRect.length}/2).</p>
+      )}
+      {zoneGrid.area === "rect" && !zoneGrid.rect && !drawingRect && (
+        <p className="help">Sin rectángulo dibujado: se usa el recorrido completo.</p>
+      )}
+      {zones && (
+        <table className="table" style={{ marginTop: 8 }}>
+          <thead>
+            <tr><th>#</th><th>Zona</th><th>% tiempo</th><th>Distancia (m)</th><th>Vel. media (km/h)</th></tr>
+          </thead>
+          <tbody>
+            {zones.map((z) => (
+              <tr key={z.number}>
+                <td>{z.number}</td>
+                <td>{z.name}</td>
+                <td>{(z.share * 100).toFixed(1)}</td>
+                <td>{Math.round(z.distance)}</td>
+                <td>{z.avgSpeed.toFixed(1)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+// Lista de segmentos de la sesión: renombrar y borrar (el primero, "Actividad Completa", es fijo)
+function SegmentList({ segments, processedPoints, onRename, onDelete, onSetMirrored }) {
+  const last = processedPoints.length - 1;
+  // endIdx es exclusivo: el segmento termina en el punto anterior
+  const timeAt = (idx) => formatElapsed(processedPoints[Math.min(idx, last)].elapsedSeconds);
+  return (
+    <table className="table" style={{ marginTop: 12 }}>
+      <thead>
+        <tr><th>Segmento</th><th>Desde</th><th>Hasta</th><th title="Ataca hacia el otro arco">Invertido</th><th></th></tr>
+      </thead>
+      <tbody>
+        {segments.map((seg, idx) => (
+          <tr key={`${idx}-${seg.label}`}>
+            <td>
+              {idx === 0 ? seg.label : (
+                <input
+                  defaultValue={seg.label}
+                  style={{ width: 180 }}
+                  onBlur={(e) => e.target.value.trim() && e.target.value !== seg.label && onRename(idx, e.target.value.trim())}
+                  onKeyDown={(e) => e.key === "Enter" && e.target.blur()}
+                />
+              )}
+            </td>
+            <td>{timeAt(seg.startIdx)}</td>
+            <td>{timeAt(Math.max(seg.startIdx, seg.endIdx - 1))}</td>
+            <td>
+              {idx > 0 && (
+                <input type="checkbox" checked={!!seg.mirrored} onChange={(e) => onSetMirrored(idx, e.target.checked)} />
+              )}
+            </td>
+            <td>
+              {idx > 0 && (
+                <button className="btn btn--secondary btn--small" onClick={() => onDelete(idx)}>Borrar</button>
+              )}
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+// Eventos del partido: alta manual o desde CSV, y segmentos relativos a cada evento
+function EventPanel({ session, onAddEvents, onDeleteEvent, onCreateSegment }) {
+  const { events, processedPoints, startTime } = session;
+  const [draft, setDraft] = useState({ time: "", type: "goal", note: "" });
+  const [segmentWindow, setSegmentWindow] = useState({ before: 0, after: 10 }); // minutos alrededor del evento
+  const [importMessage, setImportMessage] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const addDraft = () => {
+    const time = parseElapsed(draft.time);
+    if (!(time >= 0)) return;
+    onAddEvents([{ id: newEventId(), type: draft.type, time, note: draft.note.trim() }]);
+    setDraft({ ...draft, time: "", note: "" });
+  };
+
+  const importCsv = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ""; // Permitir reimportar el mismo archivo
+    if (!file) return;
+    const { events: imported, skipped } = parseEventsCsv(await file.text(), startTime);
+    if (imported.length) onAddEvents(imported);
+    setImportMessage(`${imported.length} eventos importados${skipped ? `, ${skipped} líneas ignoradas` : ""}.`);
+  };
+
+  return (
+    <div style={{ marginTop: 20 }}>
+      <h4 style={{ margin: '0 0 8px' }}>Eventos del partido</h4>
+      <div className="btn-row" style={{ alignItems: 'flex-end' }}>
+        <label className="field" style={{ marginTop: 0 }}>Tiempo
+          <input
+            placeholder="mm:ss"
+            value={draft.time}
+            onChange={(e) => setDraft({ ...draft, time: e.target.value })}
+            style={{ width: 70 }}
+          />
+        </label>
+        <label className="field" style={{ marginTop: 0 }}>Tipo
+          <select value={draft.type} onChange={(e) => setDraft({ ...draft, type: e.target.value })}>
+            {Object.entries(EVENT_TYPES).map(([value, def]) => (
+              <option key={value} value={value}>{def.symbol} {def.label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="field" style={{ marginTop: 0, flex: 1 }}>Nota
+          <input
+            value={draft.note}
+            onChange={(e) => setDraft({ ...draft, note: e.target.value })}
+            onKeyDown={(e) => e.key === "Enter" && addDraft()}
+            style={{ width: '100%' }}
+          />
+        </label>
+        <button className="btn btn--small" onClick={addDraft}>Agregar</button>
+        <button className="btn btn--secondary btn--small" onClick={() => fileInputRef.current.click()}>Importar CSV</button>
+        <input ref={fileInputRef} type="file" accept=".csv,text/csv" onChange={importCsv} style={{ display: 'none' }} />
+      </div>
+      <p className="help">
+        CSV: tiempo (mm:ss desde el inicio), tipo (Gol, Cambio, Tarjeta, Lesión, Nota) y nota. Con una columna
+        «hora» en el encabezado se usa la hora real del partido.
+        {importMessage && ` ${importMessage}`}
+      </p>
+      {events.length > 0 && (
+        <>
+          <div className="btn-row" style={{ alignItems: 'center', marginTop: 8 }}>
+            <span>Segmento desde</span>
+            <input
+              type="number" min={0} value={segmentWindow.before}
+              onChange={(e) => setSegmentWindow({ ...segmentWindow, before: Math.max(0, parseFloat(e.target.value) || 0) })}
+              style={{ width: 60 }}
+            />
+            <span>min antes hasta</span>
+            <input
+              type="number" min={0} value={segmentWindow.after}
+              onChange={(e) => setSegmentWindow({ ...segmentWindow, after: Math.max(0, parseFloat(e.target.value) || 0) })}
+              style={{ width: 60 }}
+            />
+            <span>min después del evento</span>
+          </div>
+          <table className="table" style={{ marginTop: 8 }}>
+            <thead>
+              <tr><th>Tiempo</th><th>Evento</th><th></th></tr>
+            </thead>
+            <tbody>
+              {events.map((ev) => {
+                const hasWindow = segmentWindow.before + segmentWindow.after > 0;
+                const segment = hasWindow
+                  ? eventSegment(processedPoints, ev, segmentWindow.before, segmentWindow.after)
+                  : null;
+                return (
+                  <tr key={ev.id}>
+                    <td>{formatElapsed(ev.time)}</td>
+                    <td>
+                      <span style={{ color: (EVENT_TYPES[ev.type] || EVENT_TYPES.note).color }}>
+                        {(EVENT_TYPES[ev.type] || EVENT_TYPES.note).symbol}
+                      </span>{" "}
+                      {eventLabel(ev)}
+                    </td>
+                    <td className="btn-row">
+                      <button
+                        className="btn btn--secondary btn--small"
+                        disabled={!segment}
+                        title={hasWindow && !segment ? "La ventana no tiene puntos de la grabación" : undefined}
+                        onClick={() => onCreateSegment(segment)}
+                      >
+                        Crear segmento
+                      </button>
+                      <button className="btn btn--secondary btn--small" onClick={() => onDeleteEvent(ev.id)}>Borrar</button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </>
+      )}
+    </div>
+  );
+}
+
+// Umbrales editables de las zonas de velocidad
+function SpeedZoneEditor({ zones, onChange }) {
+  // Los umbrales se aplican solo si suben estrictamente; si no, las bandas se pisarían
+  const [drafts, setDrafts] = useState(() => zones.map((z) => String(z.min)));
+  const values = drafts.map(parseFloat);
+  const error = values.some(isNaN)
+    ? "Completá todos los umbrales."
+    : values.some((v, i) => i > 0 && v <= values[i - 1])
+      ? "Cada zona tiene que empezar por encima de la anterior."
+      : null;
+
+  const updateMin = (idx, text) => {
+    const next = drafts.map((d, i) => (i === idx ? text : d));
+    setDrafts(next);
+    const mins = next.map(parseFloat);
+    if (mins.some(isNaN) || mins.some((v, i) => i > 0 && v <= mins[i - 1])) return;
+    onChange(zones.map((z, i) => ({ ...z, min: mins[i] })));
+  };
+  return (
+    <>
+      <div className="btn-row" style={{ alignItems: 'center' }}>
+        {zones.map((z, idx) => (
+          <label key={z.name} className="field" style={{ marginTop: 0 }}>
+            {z.name} ≥
+            <input
+              type="number"
+              step={0.1}
+              value={drafts[idx]}
+              disabled={idx === 0}
+              onChange={(e) => updateMin(idx, e.target.value)}
+              style={{ width: 60, borderColor: error && idx > 0 ? "#dc3545" : undefined }}
+            />
+          </label>
+        ))}
+      </div>
+      {error && <p className="help" style={{ color: "#dc3545" }}>{error} Se siguen usando los últimos umbrales válidos.</p>}
+    </>
+  );
+}
+
+// Distancia y tiempo por zona + sprints del segmento seleccionado
+function SpeedZonePanel({ session, zones, onChangeZones, onSelectSprint }) {
+  const { processedPoints, segments, selectedSegmentIdx } = session;
+  const segment = segments[selectedSegmentIdx] || segments[0];
+  const endIdx = Math.min(segment.endIdx, processedPoints.length);
+  const totals = computeSpeedZones(processedPoints, zones, segment.startIdx, endIdx);
+  const sprints = detectSprints(processedPoints, zones[zones.length - 1].min, segment.startIdx, endIdx);
+
+  return (
+    <div style={{ marginTop: 20 }}>
+      <h4 style={{ margin: '0 0 8px' }}>Zonas de velocidad — {segment.label}</h4>
+      <SpeedZoneEditor zones={zones} onChange={onChangeZones} />
+      <table className="table" style={{ marginTop: 8 }}>
+        <thead>
+          <tr><th>Zona</th><th>Rango (km/h)</th><th>Distancia (m)</th><th>Tiempo</th></tr>
+        </thead>
+        <tbody>
+          {totals.map((z, idx) => (
+            <tr key={z.name}>
+              <td>{z.name}</td>
+              <td>{idx + 1 < totals.length ? `${z.min}–${totals[idx + 1].min}` : `≥ ${z.min}`}</td>
+              <td>{Math.round(z.distance * 1000)}</td>
+              <td>{formatElapsed(z.seconds)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <h4 style={{ margin: '16px 0 8px' }}>Sprints ({sprints.length})</h4>
+      {sprints.length === 0 ? (
+        <p className="help">No hay esfuerzos por encima de {zones[zones.length - 1].min} km/h.</p>
+      ) : (
+        <table className="table">
+          <thead>
+            <tr><th>Inicio</th><th>Duración (s)</th><th>Pico (km/h)</th><th>Distancia (m)</th><th></th></tr>
+          </thead>
+          <tbody>
+            {sprints.map((sp) => (
+              <tr key={sp.startIdx}>
+                <td>{formatElapsed(sp.start)}</td>
+                <td>{sp.duration.toFixed(1)}</td>
+                <td>{sp.peak.toFixed(1)}</td>
+                <td>{Math.round(sp.distance * 1000)}</td>
+                <td>
+                  <button className="btn btn--secondary btn--small" onClick={() => onSelectSprint(sp)}>
+                    Ver en mapa
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+// Tiempo en zonas de FC y FC media por segmento
+function HeartRatePanel({ session, maxHr, onChangeMaxHr }) {
+  const { processedPoints, segments } = session;
+  return (
+    <div style={{ marginTop: 20 }}>
+      <h4 style={{ margin: '0 0 8px' }}>Frecuencia cardíaca por segmento</h4>
+      <label className="field" style={{ justifyContent: 'flex-start' }}>
+        FC máxima (lpm)
+        <input
+          type="number"
+          min={100}
+          max={240}
+          value={maxHr}
+          onChange={(e) => parseFloat(e.target.value) > 0 && onChangeMaxHr(parseFloat(e.target.value))}
+        />
+      </label>
+      <table className="table" style={{ marginTop: 8 }}>
+        <thead>
+          <tr>
+            <th>Segmento</th><th>FC media</th><th>FC máx.</th>
+            {HR_ZONES.map((z, idx) => (
+              <th key={z.name}>
+                {z.name} ({idx + 1 < HR_ZONES.length
+                  ? `${Math.round(z.min * maxHr)}–${Math.round(HR_ZONES[idx + 1].min * maxHr)}`
+                  : `≥ ${Math.round(z.min * maxHr)}`})
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {segments.map((seg, idx) => {
+            const stats = computeHrStats(processedPoints, maxHr, seg.startIdx, Math.min(seg.endIdx, processedPoints.length));
+            return (
+              <tr key={`${idx}-${seg.label}`}>
+                <td>{seg.label}</td>
+                <td>{stats.avg !== null ? Math.round(stats.avg) : "—"}</td>
+                <td>{stats.max || "—"}</td>
+                {stats.zoneSeconds.map((sec, z) => <td key={z}>{formatElapsed(sec)}</td>)}
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+// Conteo de aceleraciones/desaceleraciones y carga mecánica por segmento, y los eventos
+// del segmento seleccionado
+function AccelerationPanel({ session, thresholds, onChangeThresholds, onSelectEvent }) {
+  const { processedPoints, segments, selectedSegmentIdx } = session;
+  const segment = segments[selectedSegmentIdx] || segments[0];
+  const events = detectAccelEvents(
+    processedPoints, thresholds, segment.startIdx, Math.min(segment.endIdx, processedPoints.length)
+  );
+  // Carga por bloques del segmento seleccionado, con los mismos bloques que el ritmo de trabajo
+  const [blockMinutes, setBlockMinutes] = useState(WORK_RATE_BLOCK_MINUTES[0]);
+  const loadBlocks = useMemo(
+    () => mechanicalLoadBlocks(processedPoints, segment.startIdx, segment.endIdx, blockMinutes).map((b) => ({
+      ...b,
+      label: `${b.start / 60}–${b.start / 60 + blockMinutes}′`,
+    })),
+    [processedPoints, segment.startIdx, segment.endIdx, blockMinutes]
+  );
+  // Lo tipeado queda como texto hasta salir del campo: recién ahí se valida y se ordena
+  const [drafts, setDrafts] = useState(() => thresholds.map(String));
+  const commitThresholds = () => {
+    const values = drafts.map(parseFloat);
+    if (values.some((v) => !(v > 0))) {
+      setDrafts(thresholds.map(String));
+      return;
+    }
+    const sorted = [...values].sort((a, b) => a - b);
+    setDrafts(sorted.map(String));
+    onChangeThresholds(sorted);
+  };
+
+  return (
+    <div style={{ marginTop: 20 }}>
+      <h4 style={{ margin: '0 0 8px' }}>Aceleraciones y carga mecánica</h4>
+      <div className="btn-row" style={{ alignItems: 'center' }}>
+        {drafts.map((_, idx) => (
+          <label key={idx} className="field" style={{ marginTop: 0 }}>
+            Umbral {idx + 1} (m/s²)
+            <input
+              type="number"
+              step={0.1}
+              min={0.5}
+              value={drafts[idx]}
+              onChange={(e) => setDrafts(drafts.map((d, i) => (i === idx ? e.target.value : d)))}
+              onBlur={commitThresholds}
+              onKeyDown={(e) => e.key === "Enter" && commitThresholds()}
+              style={{ width: 60 }}
+            />
+          </label>
+        ))}
+      </div>
+      <table className="table" style={{ marginTop: 8 }}>
+        <thead>
+          <tr>
+            <th>Segmento</th>
+            {thresholds.map((t) => <th key={`a${t}`}>Acel. ≥ {t}</th>)}
+            {thresholds.map((t) => <th key={`d${t}`}>Desac. ≤ −{t}</th>)}
+            <th>Carga (m/s)</th><th>Carga desac.</th><th>Carga/min</th><th>Desac./min</th>
+          </tr>
+        </thead>
+        <tbody>
+          {segments.map((seg, idx) => {
+            const endIdx = Math.min(seg.endIdx, processedPoints.length);
+            const segEvents = detectAccelEvents(processedPoints, thresholds, seg.startIdx, endIdx);
+            const load = computeMechanicalLoad(processedPoints, seg.startIdx, endIdx);
+            const count = (type, level) => segEvents.filter((ev) => ev.type === type && ev.level >= level).length;
+            return (
+              <tr key={`${idx}-${seg.label}`}>
+                <td>{seg.label}</td>
+                {thresholds.map((t, l) => <td key={`a${t}`}>{count("accel", l + 1)}</td>)}
+                {thresholds.map((t, l) => <td key={`d${t}`}>{count("decel", l + 1)}</td>)}
+                <td>{Math.round(load.load)}</td>
+                <td>{Math.round(load.decelLoad)}</td>
+                <td>{load.perMinute.toFixed(1)}</td>
+                <td>{load.decelPerMinute.toFixed(1)}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      <div className="btn-row" style={{ alignItems: 'center', marginTop: 16 }}>
+        <h4 style={{ flex: 1, margin: 0 }}>Carga por minuto — {segment.label}</h4>
+        <label className="field">Bloques
+          <select value={blockMinutes} onChange={(e) => setBlockMinutes(parseInt(e.target.value, 10))}>
+            {WORK_RATE_BLOCK_MINUTES.map((m) => <option key={m} value={m}>{m} min</option>)}
+          </select>
+        </label>
+      </div>
+      <div style={{ height: 200 }}>
+        <ResponsiveContainer width="100%" height="100%">
+          <BarChart data={loadBlocks} margin={{ top: 5, right: 20, left: -20, bottom: 5 }}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="label" />
+            <YAxis />
+            <Tooltip formatter={(v) => (typeof v === "number" ? `${v.toFixed(1)} m/s por min` : "—")} />
+            <Legend verticalAlign="top" height={30} />
+            <Bar dataKey="perMinute" name="Carga" fill="#8884d8" isAnimationActive={false} />
+            <Bar dataKey="decelPerMinute" name="Desaceleraciones" fill="#e53935" isAnimationActive={false} />
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+      <h4 style={{ margin: '16px 0 8px' }}>Eventos — {segment.label} ({events.length})</h4>
+      {events.length === 0 ? (
+        <p className="help">No hay aceleraciones ni desaceleraciones por encima de {thresholds[0]} m/s².</p>
+      ) : (
+        <table className="table">
+          <thead>
+            <tr><th>Inicio</th><th>Tipo</th><th>Pico (m/s²)</th><th>Duración (s)</th><th>Δ velocidad (km/h)</th><th></th></tr>
+          </thead>
+          <tbody>
+            {events.map((ev) => (
+              <tr key={`${ev.type}-${ev.startIdx}`}>
+                <td>{formatElapsed(ev.start)}</td>
+                <td>{ev.type === "accel" ? "Aceleración" : "Desaceleración"}</td>
+                <td>{(ev.type === "accel" ? ev.peak : -ev.peak).toFixed(1)}</td>
+                <td>{ev.duration.toFixed(1)}</td>
+                <td>{ev.speedChange.toFixed(1)}</td>
+                <td>
+                  <button className="btn btn--secondary btn--small" onClick={() => onSelectEvent(ev)}>
+                    Ver en mapa
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+// Canales opcionales que se pueden graficar junto a la velocidad
+const CHART_CHANNELS = [
+  { key: "hr", name: "FC", unit: "lpm", color: "#e53935" },
+  { key: "cad", name: "Cadencia", unit: "ppm", color: "#43a047" },
+  { key: "ele", name: "Elevación", unit: "m", color: "#8d6e63" },
+  { key: "accel", name: "Aceleración", unit: "m/s²", color: "#00897b", digits: 1 },
+];
+
+// --- MODAL DE ANÁLISIS ---
+function AnalysisModal({
+  session, onClose, onAddSegment, onRenameSegment, onDeleteSegment, onSetSegmentMirrored, onAddEvents, onDeleteEvent,
+  speedZones, onChangeSpeedZones, onHighlight, maxHr, onChangeMaxHr, onHover,
+  accelThresholds, onChangeAccelThresholds, tileProviders,
+}) {
+  const { id, processedPoints, segments, points, bounds, hoverIdx } = session;
+  const track = useSpeedTrack(session, speedZones, onHover);
+  // Selección por arrastre sobre el gráfico (índices de processedPoints)
+  const [brush, setBrush] = useState(null); // { from, to, dragging }
+  const [segmentName, setSegmentName] = useState("");
+  const [showRaw, setShowRaw] = useState(false); // Comparar con la velocidad sin filtrar
+  const availableChannels = CHART_CHANNELS.filter((c) => hasChannel(processedPoints, c.key));
+  const [visibleChannels, setVisibleChannels] = useState(() => availableChannels.map((c) => c.key));
+  const shownChannels = availableChannels.filter((c) => visibleChannels.includes(c.key));
+  const toggleChannel = (key) => {
+    setVisibleChannels((cur) => (cur.includes(key) ? cur.filter((k) => k !== key) : [...cur, key]));
+  };
+
+  // Formateadores para el gráfico
+  const formatXAxis = formatElapsed;
+  const formatTooltip = (value, name) => {
+    const channel = CHART_CHANNELS.find((c) => c.name === name);
+    return channel ? `${value.toFixed(channel.digits || 0)} ${channel.unit}` : `${value.toFixed(1)} km/h`;
+  };
+
+  const indexFromState = (state) => {
+    const idx = Number(state && state.activeTooltipIndex);
+    return Number.isInteger(idx) ? idx : null;
+  };
+  const handleMouseDown = (state) => {
+    const idx = indexFromState(state);
+    if (idx !== null) setBrush({ from: idx, to: idx, dragging: true });
+  };
+  const handleMouseMove = (state) => {
+    const idx = indexFromState(state);
+    if (idx !== null && brush && brush.dragging) setBrush({ ...brush, to: idx });
+    if (idx !== hoverIdx) onHover(id, idx);
+  };
+  const handleMouseLeave = () => {
+    onHover(id, null);
+    handleMouseUp();
+  };
+  const handleMouseUp = () => {
+    if (!brush) return;
+    setBrush(brush.from === brush.to ? null : { ...brush, dragging: false });
+  };
+
+  const selection = brush && brush.from !== brush.to
+    ? { startIdx: Math.min(brush.from, brush.to), endIdx: Math.max(brush.from, brush.to) + 1 }
+    : null;
+
+  const saveSegment = () => {
+    if (!selection) return;
+    const label = segmentName.trim() ||
+      `${formatElapsed(processedPoints[selection.startIdx].elapsedSeconds)}–${formatElapsed(processedPoints[selection.endIdx - 1].elapsedSeconds)}`;
+    onAddSegment(id, { label, ...selection });
+    setBrush(null);
+    setSegmentName("");
   };
-  const formatTooltip = (value) => `${value.toFixed(1)} km/h`;
 
   return (
     <div className="modal__overlay" onClick={onClose}>
@@ -376,39 +2908,200 @@ function AnalysisModal({ session, onClose }) {
           <button className="modal__close" onClick={onClose}>&times;</button>
         </div>
         <div className="modal__body">
-          <p>Gráfico de velocidad (km/h) vs. Tiempo.</p>
-          {session.processedPoints && session.processedPoints.length > 0 ? (
-            <div style={{ width: '100%', height: 300, marginTop: 20 }}>
-              <ResponsiveContainer width="100%" height="100%">
-                <LineChart
-                  data={session.processedPoints}
-                  margin={{ top: 5, right: 20, left: -20, bottom: 20 }} // Más margen abajo para label
-                >
-                  <CartesianGrid strokeDasharray="3 3" />
-                  <XAxis
-                    dataKey="elapsedSeconds"
-                    tickFormatter={formatXAxis}
-                    label={{ value: "Tiempo (min:seg)", position: 'insideBottom', offset: -15 }}
-                  />
-                  <YAxis
-                    label={{ value: 'Velocidad (km/h)', angle: -90, position: 'insideLeft' }}
-                  />
-                  <Tooltip
-                    labelFormatter={formatXAxis}
-                    formatter={formatTooltip}
+          <p>Gráfico de velocidad (km/h) vs. Tiempo. Arrastrá sobre el gráfico para seleccionar un tramo y guardarlo como segmento.</p>
+          {session.filter !== "none" && (
+            <label style={{ fontSize: 14 }}>
+              <input type="checkbox" checked={showRaw} onChange={(e) => setShowRaw(e.target.checked)} />
+              {" "}Comparar con datos sin filtrar ({GPS_FILTERS[session.filter]})
+            </label>
+          )}
+          {availableChannels.map((c) => (
+            <label key={c.key} style={{ fontSize: 14, marginLeft: 12 }}>
+              <input type="checkbox" checked={visibleChannels.includes(c.key)} onChange={() => toggleChannel(c.key)} />
+              {" "}{c.name}
+            </label>
+          ))}
+          {processedPoints && processedPoints.length > 0 ? (
+            <>
+              <div style={{ width: '100%', height: 300, marginTop: 20, userSelect: 'none' }}>
+                <ResponsiveContainer width="100%" height="100%">
+                  <LineChart
+                    data={processedPoints}
+                    margin={{ top: 5, right: 20, left: -20, bottom: 20 }} // Más margen abajo para label
+                    onMouseDown={handleMouseDown}
+                    onMouseMove={handleMouseMove}
+                    onMouseUp={handleMouseUp}
+                    onMouseLeave={handleMouseLeave}
+                  >
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis
+                      dataKey="elapsedSeconds"
+                      type="number"
+                      domain={["dataMin", "dataMax"]}
+                      tickFormatter={formatXAxis}
+                      label={{ value: "Tiempo (min:seg)", position: 'insideBottom', offset: -15 }}
+                    />
+                    <YAxis
+                      yAxisId="speed"
+                      label={{ value: 'Velocidad (km/h)', angle: -90, position: 'insideLeft' }}
+                    />
+                    {shownChannels.map((c) => (
+                      <YAxis
+                        key={c.key}
+                        yAxisId={c.key}
+                        orientation="right"
+                        domain={["auto", "auto"]}
+                        stroke={c.color}
+                        width={45}
+                      />
+                    ))}
+                    <Tooltip
+                      labelFormatter={formatXAxis}
+                      formatter={formatTooltip}
+                    />
+                    <Legend verticalAlign="top" height={36}/>
+                    {showRaw && (
+                      <Line
+                        yAxisId="speed"
+                        type="monotone"
+                        dataKey="rawSpeed"
+                        name="Velocidad (sin filtrar)"
+                        stroke="#ff7300"
+                        strokeWidth={1}
+                        dot={false}
+                        isAnimationActive={false}
+                      />
+                    )}
+                    <Line
+                      yAxisId="speed"
+                      type="monotone"
+                      dataKey="speed"
+                      name="Velocidad"
+                      stroke="#8884d8"
+                      strokeWidth={2}
+                      dot={false}
+                      isAnimationActive={false}
+                    />
+                    {shownChannels.map((c) => (
+                      <Line
+                        key={c.key}
+                        yAxisId={c.key}
+                        type="monotone"
+                        dataKey={c.key}
+                        name={c.name}
+                        stroke={c.color}
+                        strokeWidth={1}
+                        dot={false}
+                        connectNulls
+                        isAnimationActive={false}
+                      />
+                    ))}
+                    {hoverIdx !== null && processedPoints[hoverIdx] && (
+                      <ReferenceDot
+                        yAxisId="speed"
+                        x={processedPoints[hoverIdx].elapsedSeconds}
+                        y={processedPoints[hoverIdx].speed}
+                        r={5}
+                        fill="#ff5722"
+                        stroke="#fff"
+                      />
+                    )}
+                    {(session.events || []).map((ev) => (
+                      <ReferenceLine
+                        key={ev.id}
+                        yAxisId="speed"
+                        x={ev.time}
+                        stroke={(EVENT_TYPES[ev.type] || EVENT_TYPES.note).color}
+                        strokeDasharray="4 2"
+                        label={{ value: (EVENT_TYPES[ev.type] || EVENT_TYPES.note).symbol, position: "top" }}
+                      />
+                    ))}
+                    {session.cursorIdx !== null && processedPoints[session.cursorIdx] && (
+                      <ReferenceLine
+                        yAxisId="speed"
+                        x={processedPoints[session.cursorIdx].elapsedSeconds}
+                        stroke="#00bcd4"
+                        strokeWidth={2}
+                      />
+                    )}
+                    {brush && (
+                      <ReferenceArea
+                        yAxisId="speed"
+                        x1={processedPoints[brush.from].elapsedSeconds}
+                        x2={processedPoints[brush.to].elapsedSeconds}
+                        fill="#0d6efd"
+                        fillOpacity={0.15}
+                      />
+                    )}
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+              {selection && !brush.dragging && (
+                <div className="btn-row" style={{ alignItems: 'center', marginTop: 8 }}>
+                  <span>
+                    Tramo {formatElapsed(processedPoints[selection.startIdx].elapsedSeconds)}–
+                    {formatElapsed(processedPoints[selection.endIdx - 1].elapsedSeconds)}
+                  </span>
+                  <input
+                    placeholder="Nombre (ej. últimos 15 min)"
+                    value={segmentName}
+                    onChange={(e) => setSegmentName(e.target.value)}
+                    onKeyDown={(e) => e.key === "Enter" && saveSegment()}
+                    style={{ padding: 6, borderRadius: 8, border: '1px solid var(--line)', flex: 1 }}
                   />
-                  <Legend verticalAlign="top" height={36}/>
-                  <Line
-                    type="monotone"
-                    dataKey="speed"
-                    name="Velocidad"
-                    stroke="#8884d8"
-                    strokeWidth={2}
-                    dot={false}
+                  <button className="btn btn--small" onClick={saveSegment}>Guardar segmento</button>
+                  <button className="btn btn--secondary btn--small" onClick={() => setBrush(null)}>Cancelar</button>
+                </div>
+              )}
+              {track && (
+                <div className="mapWrap" style={{ height: 300, marginTop: 12 }}>
+                  <LeafletMap
+                    tileProviders={tileProviders}
+                    bounds={bounds}
+                    track={track}
+                    trackChecked
+                    hoverPosition={hoverIdx !== null ? [points[hoverIdx].lat, points[hoverIdx].lon] : null}
+                    events={eventPins(session)}
+                    height={300}
                   />
-                </LineChart>
-              </ResponsiveContainer>
-            </div>
+                </div>
+              )}
+              <SegmentList
+                segments={segments}
+                processedPoints={processedPoints}
+                onRename={(idx, label) => onRenameSegment(id, idx, label)}
+                onDelete={(idx) => onDeleteSegment(id, idx)}
+                onSetMirrored={(idx, mirrored) => onSetSegmentMirrored(id, idx, mirrored)}
+              />
+              <EventPanel
+                session={session}
+                onAddEvents={(events) => onAddEvents(id, events)}
+                onDeleteEvent={(eventId) => onDeleteEvent(id, eventId)}
+                onCreateSegment={(segment) => onAddSegment(id, segment)}
+              />
+              <SpeedZonePanel
+                session={session}
+                zones={speedZones}
+                onChangeZones={onChangeSpeedZones}
+                onSelectSprint={(sp) => {
+                  onHighlight(id, { startIdx: sp.startIdx, endIdx: sp.endIdx });
+                  onClose(); // Cerrar para ver el sprint resaltado
+                }}
+              />
+              <AccelerationPanel
+                session={session}
+                thresholds={accelThresholds}
+                onChangeThresholds={onChangeAccelThresholds}
+                onSelectEvent={(ev) => {
+                  // Incluir el punto donde termina el esfuerzo para que el tramo tenga largo
+                  onHighlight(id, { startIdx: ev.startIdx, endIdx: Math.min(ev.endIdx + 1, processedPoints.length) });
+                  onClose();
+                }}
+              />
+              {hasChannel(processedPoints, "hr") && (
+                <HeartRatePanel session={session} maxHr={maxHr} onChangeMaxHr={onChangeMaxHr} />
+              )}
+            </>
           ) : (
             <p>No hay datos procesados para mostrar el gráfico.</p>
           )}
@@ -422,8 +3115,53 @@ function AnalysisModal({ session, onClose }) {
 
 export default function App() {
   const [sessions, setSessions] = useState([]);
-  const [modalSession, setModalSession] = useState(null); // Estado para controlar qué sesión mostrar en el modal
+  const [modalSessionId, setModalSessionId] = useState(null); // Qué sesión mostrar en el modal
+  const modalSession = sessions.find((s) => s.id === modalSessionId); // Siempre la versión actual
+  const [speedZones, setSpeedZones] = useState(DEFAULT_SPEED_ZONES);
+  const [maxHr, setMaxHr] = useState(DEFAULT_MAX_HR);
+  const [accelThresholds, setAccelThresholds] = useState(DEFAULT_ACCEL_THRESHOLDS);
   const rebuildSeqRef = useRef({});
+  const densityCacheRef = useRef({}); // Última grilla de densidad por sesión
+  const heatmapScaleRef = useRef(null); // Escala vigente, para los recálculos asíncronos
+  const persistedRef = useRef({}); // Última versión guardada de cada sesión
+  const saveTimersRef = useRef({}); // Guardados pendientes por sesión
+  const restoredRef = useRef(false);
+  const [library, setLibrary] = useState(null); // null = biblioteca cerrada
+  const [showAggregate, setShowAggregate] = useState(false);
+  const [showTeam, setShowTeam] = useState(false);
+  const [importErrors, setImportErrors] = useState([]); // [{ fileName, message }] del último lote
+  const [settings, setSettings] = useState(loadSettings); // Teselas y geocodificación
+  const [showSettings, setShowSettings] = useState(false);
+  const tileProviders = useMemo(() => activeTileProviders(settings), [settings]);
+
+  // Antes de restaurar: las sesiones pendientes de lugar ya consultan con el geocodificador elegido
+  useEffect(() => {
+    configureGeocoder(settings);
+    saveSettings(settings);
+    heatmapScaleRef.current = settings.heatmapScale;
+  }, [settings]);
+
+  // Guardar las sesiones cuyo contenido persistible cambió. El registro lleva todos los
+  // puntos crudos, así que se espera a que se calme (p. ej. al soltar un slider).
+  useEffect(() => {
+    for (const s of sessions) {
+      const last = persistedRef.current[s.id];
+      if (last && sameStoredContent(last, s)) continue;
+      persistedRef.current[s.id] = s;
+      clearTimeout(saveTimersRef.current[s.id]);
+      saveTimersRef.current[s.id] = setTimeout(() => {
+        delete saveTimersRef.current[s.id];
+        putStoredSession(toStoredSession(s)).catch((error) => console.error("No se pudo guardar la sesión:", error));
+      }, last ? SAVE_DELAY_MS : 0); // Una sesión nueva se guarda enseguida
+    }
+  }, [sessions]);
+
+  // Al cerrar o borrar una sesión no debe quedar un guardado pendiente que la reabra
+  function forgetPersisted(id) {
+    clearTimeout(saveTimersRef.current[id]);
+    delete saveTimersRef.current[id];
+    delete persistedRef.current[id];
+  }
 
   // --- Handlers de Drag & Drop (sin cambios) ---
   const onDrop = (e) => {
@@ -444,53 +3182,157 @@ export default function App() {
   };
 
   // --- Función para procesar archivos (modificada para segmentos iniciales) ---
+  // Los archivos que no llegan a ser una sesión quedan en importErrors con el motivo
   async function handleFiles(files) {
+    const failures = [];
+    const fail = (file, message, error) => {
+      if (error) console.error(`No se pudo leer ${file.name}:`, error);
+      failures.push({ fileName: file.name, message });
+    };
     for (const file of files) {
-      if (!file.name.toLowerCase().endsWith(".gpx")) continue;
-      const text = await file.text();
-      const parsed = parseGPX(text);
-      if (!parsed.points.length) continue;
-
-      const processedPoints = processGpxPoints(parsed.points);
-      // Incluir puntos procesados solo si son válidos
-      const validProcessedPoints = processedPoints.length > 0 ? processedPoints : null;
-
-      const { points, startTime } = parsed;
-      const center = centerOfPoints(points);
-      const boundsArray = boundsOfPoints(points);
-      const bounds = L.latLngBounds(boundsArray[0], boundsArray[1]);
-      const initialParams = { radius: 20, maxOpacity: 50, blur: 30 };
-
-      // Segmento inicial: siempre incluir la actividad completa
-      const initialSegments = [{ label: "Actividad Completa", startIdx: 0, endIdx: points.length }];
-
-      const id = `${file.name}-${Date.now()}`;
-      setSessions((prev) => [
-        {
-          id,
-          fileName: file.name,
-          startTime,
-          center,
-          bounds,
-          params: initialParams,
-          points,
-          processedPoints: validProcessedPoints, // Guardar puntos procesados si existen
-          overlayUrl: null, // Inicia sin overlay
-          place: "Buscando lugar…",
-          segments: initialSegments, // Guardar segmentos iniciales
-          selectedSegmentIdx: 0, // Por defecto, mostrar completo
-        },
-        ...prev,
-      ]);
+      // Primero, ¿es un archivo de sesión exportado? Se detecta por el contenido, no por la extensión
+      let record;
+      try {
+        record = await readSessionFile(file);
+      } catch (error) {
+        fail(file, error.message, error);
+        continue;
+      }
+      if (record) {
+        importSessionRecord(record);
+        continue;
+      }
+
+      let parsed;
+      try {
+        parsed = await parseTrackFile(file);
+      } catch (error) {
+        fail(file, `No se pudo leer: ${error.message}`, error);
+        continue;
+      }
+      if (!parsed) {
+        fail(file, `Formato no reconocido (se aceptan ${TRACK_FILE_EXTENSIONS.join(", ")})`);
+        continue;
+      }
+      if (!parsed.points.length) {
+        fail(file, emptyTrackMessage(parsed.dropped));
+        continue;
+      }
+
+      const session = createSession({
+        id: `${file.name}-${Date.now()}`,
+        fileName: file.name,
+        format: parsed.format,
+        startTime: parsed.startTime,
+        rawPoints: parsed.points,
+        dropped: parsed.dropped,
+      });
+      setSessions((prev) => [session, ...prev]);
 
       // Iniciar generación de overlay y búsqueda de lugar
-      scheduleOverlayRebuild(id, [{ id, points, bounds, params: initialParams, segments: initialSegments, selectedSegmentIdx: 0 }]);
-      resolvePlaceName(id, center);
+      scheduleOverlayRebuild(session.id, [session]);
+      resolvePlaceName(session.id, session.center);
     }
+    setImportErrors(failures);
+  }
+
+  // Sesión recibida de otra persona: se recrea tal cual, con un id nuevo para no pisar la propia
+  function importSessionRecord(record) {
+    const session = createSession({ ...record, id: `${record.fileName}-${Date.now()}` }, record);
+    setSessions((prev) => [session, ...prev]);
+    scheduleOverlayRebuild(session.id, [session]);
+    if (needsPlace(session)) resolvePlaceName(session.id, session.center);
+  }
+
+  async function exportSessionFile(id, compressed) {
+    const sess = sessions.find((s) => s.id === id);
+    if (!sess) return;
+    const { blob, extension } = await sessionFileBlob(sess, compressed);
+    downloadBlob(blob, `${sess.fileName.replace(/\.[^.]+$/, "")}${extension}`);
+  }
+
+  // --- Informe descargable ---
+  async function exportReport(id, format) {
+    const sess = sessions.find((s) => s.id === id);
+    if (!sess) return;
+    const [startIdx, endIdx] = selectedSegmentRange(sess);
+    const segment = sess.segments[sess.selectedSegmentIdx] || sess.segments[0];
+    const series = sess.processedPoints ? sess.processedPoints.slice(startIdx, endIdx) : [];
+    const summary = computeSummary(series);
+    const box = (b) => ({ south: b.getSouth(), west: b.getWest(), north: b.getNorth(), east: b.getEast() });
+
+    const heatmap = sess.view === "pitch" && sess.pitch
+      ? {
+          type: "svg",
+          svgMarkup: renderToStaticMarkup(
+            <PitchDiagram length={sess.pitch.length} width={sess.pitch.width} overlayUrl={sess.overlayUrl} />
+          ),
+          aspect: (sess.pitch.length + 8) / (sess.pitch.width + 8), // viewBox con 4 m de margen
+        }
+      : {
+          type: "map",
+          bounds: box(sess.bounds),
+          overlayUrl: sess.overlayUrl,
+          overlayBounds: box(sess.overlayBounds || sess.bounds),
+          tileUrl: (sessionBaseLayer(tileProviders, sess.baseLayerId) || {}).url || null, // La que se ve en el mapa
+        };
+
+    const canvas = await buildReportCanvas({
+      title: sess.fileName,
+      subtitle: [sess.place, sess.startTime ? sess.startTime.toLocaleString("es-AR") : null, segment.label]
+        .filter(Boolean)
+        .join(" · "),
+      stats: [
+        { label: "Distancia", value: `${summary.distance.toFixed(2)} km` },
+        { label: "Vel. máxima", value: `${summary.maxSpeed.toFixed(1)} km/h` },
+        { label: "Duración", value: formatElapsed(summary.duration) },
+        { label: "Vel. media", value: `${summary.avgSpeed.toFixed(1)} km/h` },
+      ],
+      heatmap,
+      series,
+      formatTime: formatElapsed,
+    });
+    const blob = format === "pdf" ? await canvasToPdfBlob(canvas) : await canvasToBlob(canvas, "image/png");
+    const baseName = sess.fileName.replace(/\.[^.]+$/, "");
+    downloadBlob(blob, `${baseName}-informe.${format}`);
+  }
+
+  // --- Biblioteca de sesiones guardadas ---
+  async function refreshLibrary() {
+    const records = await getStoredSessions();
+    setLibrary(records.sort((a, b) => new Date(b.startTime) - new Date(a.startTime)));
+  }
+
+  // Al iniciar, reabrir las sesiones que estaban abiertas
+  async function openStoredSession(id) {
+    if (sessions.some((s) => s.id === id)) return;
+    const record = await getStoredSession(id);
+    if (!record) return;
+    const session = createSession(record, record);
+    setSessions((prev) => [session, ...prev]);
+    scheduleOverlayRebuild(id, [session]);
+    if (needsPlace(session)) resolvePlaceName(id, session.center);
+  }
+
+  // Cerrar la quita de la vista pero queda en la biblioteca
+  function closeSession(id) {
+    const session = sessions.find((s) => s.id === id);
+    if (!session) return;
+    setSessions((prev) => recolorOverlays(prev.filter((s) => s.id !== id), heatmapScaleRef.current, densityCacheRef.current));
+    forgetPersisted(id);
+    putStoredSession(toStoredSession(session, false)).then(refreshLibrary);
+  }
+
+  async function removeStoredSession(id) {
+    setSessions((prev) => recolorOverlays(prev.filter((s) => s.id !== id), heatmapScaleRef.current, densityCacheRef.current));
+    forgetPersisted(id);
+    await deleteStoredSession(id);
+    refreshLibrary();
   }
 
   // --- Funciones de Actualización (con manejo de segmentos) ---
-  function scheduleOverlayRebuild(id, nextSessions) {
+  // Las que usa la restauración al montar son estables: solo tocan refs y setters.
+  const scheduleOverlayRebuild = useCallback((id, nextSessions) => {
     const sess = nextSessions.find((s) => s.id === id);
     if (!sess) return;
     const seq = (rebuildSeqRef.current[id] || 0) + 1;
@@ -498,21 +3340,77 @@ export default function App() {
 
     // Obtener el segmento actual y cortar los puntos
     const segment = sess.segments[sess.selectedSegmentIdx];
-    // Asegurarse de que el segmento es válido antes de cortar
-    const pointsForHeatmap = (segment && segment.endIdx > segment.startIdx)
-                             ? sess.points.slice(segment.startIdx, segment.endIdx)
-                             : sess.points; // Usar todos si el segmento no es válido
+    const [startIdx, endIdx] = selectedSegmentRange(sess);
+    const weights = heatmapWeights(sess.processedPoints, startIdx, endIdx, sess.params);
+    const points = orientedPoints(sess);
+    const pointsForHeatmap = points
+      .slice(startIdx, endIdx)
+      .map((p, i) => ({ ...p, weight: weights[i] }))
+      .filter((p) => p.weight > 0); // p. ej. puntos por debajo del umbral de intensidad
 
     if (pointsForHeatmap.length === 0) {
       console.warn(`Segmento ${segment?.label} no tiene puntos para ${id}, mostrando mapa vacío.`);
-      setSessions((cur) => cur.map((s) => (s.id === id ? { ...s, overlayUrl: null } : s)));
+      delete densityCacheRef.current[id];
+      setSessions((cur) => recolorOverlays(
+        cur.map((s) => (s.id === id ? { ...s, overlayUrl: null, overlayScale: null } : s)),
+        heatmapScaleRef.current,
+        densityCacheRef.current
+      ));
       return; // No intentar generar overlay vacío
     }
 
-    buildOverlay(pointsForHeatmap, sess.bounds, sess.params).then((url) => {
-      if (rebuildSeqRef.current[id] !== seq) return; // resultado viejo
-      setSessions((cur) => cur.map((s) => (s.id === id ? { ...s, overlayUrl: url } : s)));
+    // Con cancha calibrada y vista "Cancha", el heatmap se dibuja en coordenadas de cancha
+    const frame = heatmapFrame(sess, points);
+    if (!frame) return;
+
+    // La grilla solo depende de los puntos, los pesos y el kernel: si no cambiaron
+    // (p. ej. solo se movió la opacidad) se reutiliza y basta con volver a colorear.
+    const densityParams = { ...sess.params, maxOpacity: undefined };
+    const mirrored = sess.segments.filter((seg) => seg.mirrored).map((seg) => [seg.startIdx, seg.endIdx]);
+    const densityKey = JSON.stringify([startIdx, endIdx, sess.filter, sess.view, sess.pitch, densityParams, mirrored]);
+    const cached = densityCacheRef.current[id];
+    const densityPromise = cached && cached.key === densityKey
+      ? Promise.resolve(cached.density)
+      : computeDensity(densityJob(pointsForHeatmap, frame));
+
+    // Con escala común, la grilla nueva puede mover el tope de las demás sesiones
+    densityPromise.then((density) => {
+      // Un resultado viejo no entra a la caché: los recoloreos posteriores la leen
+      if (rebuildSeqRef.current[id] !== seq) return;
+      densityCacheRef.current[id] = { key: densityKey, density, bounds: frame.bounds, weighting: sess.params.weighting };
+      setSessions((cur) => recolorOverlays(cur, heatmapScaleRef.current, densityCacheRef.current, id));
+    }).catch((error) => console.error("No se pudo calcular el heatmap:", error));
+  }, []);
+
+  const resolvePlaceName = useCallback(async (id, center) => {
+    const name = (await reverseGeocode(center[0], center[1])) || PLACE_UNKNOWN;
+    setSessions((cur) => cur.map((s) => (s.id === id ? { ...s, place: name } : s)));
+  }, []);
+
+  const restoreOpenSessions = useCallback(async () => {
+    const records = await getStoredSessions();
+    const restored = records
+      .filter((r) => r.open)
+      .sort((a, b) => new Date(b.startTime) - new Date(a.startTime))
+      .map((r) => createSession(r, r));
+    if (!restored.length) return;
+    setSessions((prev) => [...prev, ...restored]);
+    restored.forEach((s) => {
+      scheduleOverlayRebuild(s.id, restored);
+      if (needsPlace(s)) resolvePlaceName(s.id, s.center); // Quedó sin resolver
     });
+  }, [scheduleOverlayRebuild, resolvePlaceName]);
+
+  // Restaurar una sola vez al montar (StrictMode monta dos veces en desarrollo)
+  useEffect(() => {
+    if (restoredRef.current) return;
+    restoredRef.current = true;
+    restoreOpenSessions().catch((error) => console.error("No se pudieron restaurar las sesiones:", error));
+  }, [restoreOpenSessions]);
+
+  function setHeatmapScale(heatmapScale) {
+    setSettings((cur) => ({ ...cur, heatmapScale }));
+    setSessions((cur) => recolorOverlays(cur, heatmapScale, densityCacheRef.current));
   }
 
   function updateParams(id, newParams) {
@@ -525,10 +3423,149 @@ export default function App() {
     });
   }
 
-  // Función para resolver nombre de lugar (sin cambios)
-  async function resolvePlaceName(id, center) {
-      const name = await reverseGeocode(center[0], center[1]);
-      setSessions(cur => cur.map(s => s.id === id ? { ...s, place: name } : s));
+  function setPitch(id, pitch) {
+    setSessions((prev) => {
+      const next = prev.map((s) =>
+        s.id === id ? { ...s, pitch, view: pitch ? "pitch" : "map", overlayUrl: null } : s
+      );
+      scheduleOverlayRebuild(id, next);
+      return next;
+    });
+  }
+
+  function setBaseLayer(id, baseLayerId) {
+    setSessions((prev) => prev.map((s) => (s.id === id && s.baseLayerId !== baseLayerId ? { ...s, baseLayerId } : s)));
+  }
+
+  function setView(id, view) {
+    setSessions((prev) => {
+      const next = prev.map((s) => (s.id === id ? { ...s, view, overlayUrl: null } : s));
+      scheduleOverlayRebuild(id, next);
+      return next;
+    });
+  }
+
+  function detectPhases(id) {
+    setSessions((prev) =>
+      prev.map((s) => (s.id === id ? { ...s, detectedPhases: detectMatchPhases(s.processedPoints) } : s))
+    );
+  }
+
+  function dismissPhases(id) {
+    setSessions((prev) => prev.map((s) => (s.id === id ? { ...s, detectedPhases: null } : s)));
+  }
+
+  // Las fases confirmadas reemplazan a las confirmadas antes; los demás segmentos se conservan
+  function confirmPhases(id, phases) {
+    setSessions((prev) => {
+      const next = prev.map((s) => {
+        if (s.id !== id) return s;
+        const [full, ...rest] = s.segments;
+        const segments = [full, ...phases, ...rest.filter((seg) => !seg.phase)];
+        return { ...s, segments, selectedSegmentIdx: 0, detectedPhases: null };
+      });
+      scheduleOverlayRebuild(id, next);
+      return next;
+    });
+  }
+
+  // --- Segmentos creados desde el gráfico ---
+  function addSegment(id, segment) {
+    setSessions((prev) => {
+      const next = prev.map((s) =>
+        s.id === id ? { ...s, segments: [...s.segments, segment], selectedSegmentIdx: s.segments.length } : s
+      );
+      scheduleOverlayRebuild(id, next);
+      return next;
+    });
+  }
+
+  function renameSegment(id, segmentIdx, label) {
+    setSessions((prev) =>
+      prev.map((s) =>
+        s.id === id
+          ? { ...s, segments: s.segments.map((seg, idx) => (idx === segmentIdx ? { ...seg, label } : seg)) }
+          : s
+      )
+    );
+  }
+
+  // --- Eventos del partido ---
+  function addEvents(id, events) {
+    setSessions((prev) =>
+      prev.map((s) =>
+        s.id === id ? { ...s, events: [...s.events, ...events].sort((a, b) => a.time - b.time) } : s
+      )
+    );
+  }
+
+  function deleteEvent(id, eventId) {
+    setSessions((prev) =>
+      prev.map((s) => (s.id === id ? { ...s, events: s.events.filter((ev) => ev.id !== eventId) } : s))
+    );
+  }
+
+  // Segmento que ataca hacia el otro arco: se refleja antes del heatmap y las zonas
+  function setSegmentMirrored(id, segmentIdx, mirrored) {
+    setSessions((prev) => {
+      const next = prev.map((s) =>
+        s.id === id
+          ? { ...s, segments: s.segments.map((seg, idx) => (idx === segmentIdx ? { ...seg, mirrored } : seg)) }
+          : s
+      );
+      scheduleOverlayRebuild(id, next);
+      return next;
+    });
+  }
+
+  function deleteSegment(id, segmentIdx) {
+    if (segmentIdx === 0) return; // "Actividad Completa" no se borra
+    setSessions((prev) => {
+      const next = prev.map((s) => {
+        if (s.id !== id) return s;
+        const segments = s.segments.filter((_, idx) => idx !== segmentIdx);
+        let selectedSegmentIdx = s.selectedSegmentIdx;
+        if (selectedSegmentIdx === segmentIdx) selectedSegmentIdx = 0;
+        else if (selectedSegmentIdx > segmentIdx) selectedSegmentIdx -= 1;
+        return { ...s, segments, selectedSegmentIdx };
+      });
+      scheduleOverlayRebuild(id, next);
+      return next;
+    });
+  }
+
+  // Cambiar el filtro recalcula puntos, velocidades y heatmap; los índices no cambian
+  function setFilter(id, filter) {
+    setSessions((prev) => {
+      const next = prev.map((s) => {
+        if (s.id !== id) return s;
+        const points = filterGpsPoints(s.rawPoints, filter);
+        const processedPoints = processWithRawSpeed(points, s.rawPoints);
+        return { ...s, filter, points, processedPoints: processedPoints.length > 0 ? processedPoints : null };
+      });
+      scheduleOverlayRebuild(id, next);
+      return next;
+    });
+  }
+
+  // Posición de la reproducción (índice de punto) o null si no hay reproducción
+  function seekReplay(id, cursorIdx) {
+    setSessions((prev) => prev.map((s) => (s.id === id ? { ...s, cursorIdx } : s)));
+  }
+
+  // Punto señalado con el mouse en el gráfico o en el recorrido (se refleja en ambos)
+  function setHover(id, hoverIdx) {
+    setSessions((prev) =>
+      prev.map((s) => (s.id === id && s.hoverIdx !== hoverIdx ? { ...s, hoverIdx } : s))
+    );
+  }
+
+  function setZoneGrid(id, zoneGrid) {
+    setSessions((prev) => prev.map((s) => (s.id === id ? { ...s, zoneGrid } : s)));
+  }
+
+  function setHighlight(id, highlight) {
+    setSessions((prev) => prev.map((s) => (s.id === id ? { ...s, highlight } : s)));
   }
 
   // --- NUEVO Handler para seleccionar segmento ---
@@ -548,17 +3585,66 @@ export default function App() {
     <div className="app" onDrop={onDrop} onDragOver={onDragOver}>
       <Style />
       {/* Input oculto para seleccionar archivos */}
-      <input type="file" id="fileInput" multiple accept=".gpx" onChange={handleFileInput} style={{ display: 'none' }} />
+      <input type="file" id="fileInput" multiple accept={[...TRACK_FILE_EXTENSIONS, ...SESSION_FILE_EXTENSIONS].join(",")} onChange={handleFileInput} style={{ display: 'none' }} />
       {/* Botón visible que activa el input */}
-      <button className="btn" onClick={() => document.getElementById('fileInput').click()} style={{maxWidth: '200px', margin: 'auto'}}>
-        Seleccionar GPX
-      </button>
+      <div className="btn-row" style={{ justifyContent: 'center' }}>
+        <button className="btn" onClick={() => document.getElementById('fileInput').click()} style={{maxWidth: '200px'}}>
+          Seleccionar archivos
+        </button>
+        <button className="btn btn--secondary" onClick={() => (library ? setLibrary(null) : refreshLibrary())}>
+          Sesiones guardadas
+        </button>
+        {sessions.length > 1 && (
+          <button className="btn btn--secondary" onClick={() => setShowAggregate((cur) => !cur)}>
+            Heatmap combinado
+          </button>
+        )}
+        {sessions.length > 1 && (
+          <button className="btn btn--secondary" onClick={() => setShowTeam((cur) => !cur)}>
+            Modo equipo
+          </button>
+        )}
+        <button className="btn btn--secondary" onClick={() => setShowSettings((cur) => !cur)}>
+          Ajustes de mapa
+        </button>
+      </div>
+
+      {sessions.length > 0 && <HeatmapScaleBar scale={settings.heatmapScale} onChange={setHeatmapScale} />}
+
+      {showSettings && (
+        <MapSettingsPanel settings={settings} onChange={setSettings} onClose={() => setShowSettings(false)} />
+      )}
+
+      {showAggregate && sessions.length > 1 && (
+        <AggregateHeatmap
+          sessions={sessions}
+          tileProviders={tileProviders}
+          heatmapScale={settings.heatmapScale}
+          onClose={() => setShowAggregate(false)}
+        />
+      )}
+
+      {showTeam && sessions.length > 1 && (
+        <TeamView sessions={sessions} onClose={() => setShowTeam(false)} />
+      )}
+
+      {library && (
+        <SessionLibrary
+          records={library}
+          openIds={sessions.map((s) => s.id)}
+          onOpen={openStoredSession}
+          onDelete={removeStoredSession}
+          onClose={() => setLibrary(null)}
+        />
+      )}
 
       {/* Dropzone (opcional) */}
       <div className="dropzone" onClick={() => document.getElementById('fileInput').click()}>
-        <p>o arrastra archivos GPX aquí</p>
+        <p>o arrastra archivos GPX, TCX, FIT, KML, GeoJSON o sesiones exportadas aquí</p>
       </div>
 
+      {importErrors.length > 0 && <ImportErrors errors={importErrors} onClose={() => setImportErrors([])} />}
+
       {sessions.length === 0 && <EmptyState />}
 
       {sessions.map((s) => (
@@ -566,8 +3652,25 @@ export default function App() {
           key={s.id}
           session={s}
           onChangeParams={updateParams}
-          onAnalyzeClick={setModalSession} // Pasa la función para abrir el modal
+          onAnalyzeClick={(session) => setModalSessionId(session.id)} // Pasa la función para abrir el modal
           onSelectSegment={selectSegment} // Pasa la función para cambiar segmento
+          onSetPitch={setPitch}
+          onSetView={setView}
+          onSetBaseLayer={setBaseLayer}
+          onDetectPhases={detectPhases}
+          onConfirmPhases={confirmPhases}
+          onDismissPhases={dismissPhases}
+          onHighlight={setHighlight}
+          onSetFilter={setFilter}
+          onCloseSession={closeSession}
+          onSeek={seekReplay}
+          speedZones={speedZones}
+          onHover={setHover}
+          onSetZoneGrid={setZoneGrid}
+          onSetSegmentMirrored={setSegmentMirrored}
+          onExportSession={(id, compressed) => exportSessionFile(id, compressed).catch((error) => console.error("No se pudo exportar la sesión:", error))}
+          tileProviders={tileProviders}
+          onExportReport={(id, format) => exportReport(id, format).catch((error) => console.error("No se pudo generar el informe:", error))}
         />
       ))}
 
@@ -575,7 +3678,22 @@ export default function App() {
       {modalSession && (
         <AnalysisModal
           session={modalSession}
-          onClose={() => setModalSession(null)} // Pasa la función para cerrar
+          onClose={() => setModalSessionId(null)} // Pasa la función para cerrar
+          onAddSegment={addSegment}
+          onRenameSegment={renameSegment}
+          onDeleteSegment={deleteSegment}
+          onSetSegmentMirrored={setSegmentMirrored}
+          onAddEvents={addEvents}
+          onDeleteEvent={deleteEvent}
+          speedZones={speedZones}
+          onChangeSpeedZones={setSpeedZones}
+          onHighlight={setHighlight}
+          maxHr={maxHr}
+          onChangeMaxHr={setMaxHr}
+          onHover={setHover}
+          accelThresholds={accelThresholds}
+          onChangeAccelThresholds={setAccelThresholds}
+          tileProviders={tileProviders}
         />
       )}
     </div>
@@ -0,0 +1,1119 @@
+// --- Núcleo del análisis ---
+// Sin DOM, React ni Leaflet: lo usan la aplicación y la línea de comandos (cli/batch.js),
+// así las dos dan los mismos números con los mismos parámetros.
+
+// --- Funciones de Utilidad (sin cambios) ---
+
+function haversineDistance(coords1, coords2) {
+  const [lat1, lon1] = coords1;
+  const [lat2, lon2] = coords2;
+  const R = 6371; // Radio de la Tierra en km
+  const dLat = ((lat2 - lat1) * Math.PI) / 180;
+  const dLon = ((lon2 - lon1) * Math.PI) / 180;
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos((lat1 * Math.PI) / 180) *
+      Math.cos((lat2 * Math.PI) / 180) *
+      Math.sin(dLon / 2) *
+      Math.sin(dLon / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return R * c;
+}
+
+function processGpxPoints(points) {
+  if (points.length < 2) return [];
+  const processed = [];
+  const startTime = new Date(points[0].time).getTime();
+
+  for (let i = 0; i < points.length; i++) {
+    const p = points[i];
+    const time = new Date(p.time).getTime();
+    const elapsedSeconds = (time - startTime) / 1000;
+
+    if (i === 0) {
+      processed.push({ ...p, elapsedSeconds, speed: 0 });
+      continue;
+    }
+
+    const pPrev = points[i - 1];
+    const timePrev = new Date(pPrev.time).getTime();
+    const dist = haversineDistance([pPrev.lat, pPrev.lon], [p.lat, p.lon]); // km
+    const timeDiffHours = (time - timePrev) / (1000 * 60 * 60); // horas
+
+    // Timestamps duplicados: mantener la velocidad anterior en vez de 0 o infinito
+    let speed = processed[i - 1].speed;
+    if (timeDiffHours > 0) {
+      speed = dist / timeDiffHours; // km/h
+    }
+
+    processed.push({ ...p, elapsedSeconds, speed: isNaN(speed) ? 0 : speed });
+  }
+
+  // Aceleración (m/s²) por diferencia centrada de la velocidad; en los extremos, hacia un lado
+  for (let i = 0; i < processed.length; i++) {
+    const a = processed[Math.max(i - 1, 0)];
+    const b = processed[Math.min(i + 1, processed.length - 1)];
+    const dt = b.elapsedSeconds - a.elapsedSeconds;
+    processed[i].accel = dt > 0 ? (b.speed - a.speed) / 3.6 / dt : 0;
+  }
+  return processed;
+}
+
+// --- Filtrado de ruido GPS ---
+// Todas las estrategias devuelven un arreglo del mismo largo que la entrada,
+// así los índices de segmentos y resaltados siguen valiendo con cualquier filtro.
+
+const GPS_FILTERS = {
+  none: "Sin filtro",
+  median: "Mediana móvil",
+  kalman: "Kalman",
+  gate: "Límite vel./acel.",
+};
+
+const DEFAULT_GPS_FILTER = "gate";
+
+const GPS_FILTER_OPTIONS = {
+  medianWindow: 5, // puntos
+  kalmanAccuracy: 5, // error de medición (m)
+  kalmanProcessNoise: 3, // m/s
+  maxSpeedKmh: 36,
+  maxAccel: 8, // m/s²
+};
+
+// Un punto con el mismo timestamp que el anterior se colapsa sobre él
+function collapseDuplicateTimestamps(points) {
+  return points.map((p, i) =>
+    i > 0 && p.time === points[i - 1].time ? { ...p, lat: points[i - 1].lat, lon: points[i - 1].lon } : p
+  );
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = sorted.length >> 1;
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function movingMedianFilter(points, windowSize) {
+  const half = Math.floor(windowSize / 2);
+  return points.map((p, i) => {
+    const win = points.slice(Math.max(0, i - half), i + half + 1);
+    return { ...p, lat: median(win.map((q) => q.lat)), lon: median(win.map((q) => q.lon)) };
+  });
+}
+
+// Kalman de posición constante: la varianza crece con el tiempo transcurrido
+// y cada medición la corrige según la precisión supuesta del GPS. Las mediciones
+// a más de 3 desvíos de la predicción se ignoran.
+function kalmanFilter(points, accuracy, processNoise) {
+  if (points.length === 0) return [];
+  const origin = [points[0].lat, points[0].lon];
+  let [x, y] = toLocalMeters(points[0].lat, points[0].lon, origin);
+  let variance = accuracy * accuracy;
+  let prevTime = new Date(points[0].time).getTime();
+  return points.map((p, i) => {
+    const time = new Date(p.time).getTime();
+    if (i > 0) {
+      const dt = Math.max(0, (time - prevTime) / 1000);
+      variance += dt * processNoise * processNoise;
+      const [zx, zy] = toLocalMeters(p.lat, p.lon, origin);
+      const innovationVariance = variance + accuracy * accuracy;
+      if (Math.hypot(zx - x, zy - y) <= 3 * Math.sqrt(innovationVariance)) {
+        const gain = variance / innovationVariance;
+        x += gain * (zx - x);
+        y += gain * (zy - y);
+        variance *= 1 - gain;
+      }
+      prevTime = time;
+    }
+    const [lat, lon] = fromLocalMeters(x, y, origin);
+    return { ...p, lat, lon };
+  });
+}
+
+// Descarta saltos que implican una velocidad o aceleración imposibles respecto del
+// último punto aceptado y los reemplaza interpolando entre los aceptados vecinos.
+function speedGateFilter(points, maxSpeedKmh, maxAccel) {
+  const n = points.length;
+  const times = points.map((p) => new Date(p.time).getTime() / 1000);
+  const accepted = new Array(n).fill(false);
+  let last = 0;
+  let lastSpeed = 0; // m/s
+  if (n) accepted[0] = true;
+  for (let i = 1; i < n; i++) {
+    const dt = times[i] - times[last];
+    const dist = haversineDistance([points[last].lat, points[last].lon], [points[i].lat, points[i].lon]) * 1000;
+    if (dt <= 0) continue;
+    const speed = dist / dt;
+    if (speed * 3.6 > maxSpeedKmh || Math.abs(speed - lastSpeed) / dt > maxAccel) continue;
+    accepted[i] = true;
+    last = i;
+    lastSpeed = speed;
+  }
+
+  const result = points.slice();
+  let prev = -1;
+  for (let i = 0; i < n; i++) {
+    if (accepted[i]) {
+      prev = i;
+      continue;
+    }
+    let next = i + 1;
+    while (next < n && !accepted[next]) next++;
+    const a = points[prev];
+    const b = next < n ? points[next] : a;
+    const f = next < n && times[next] > times[prev] ? (times[i] - times[prev]) / (times[next] - times[prev]) : 0;
+    result[i] = { ...points[i], lat: a.lat + (b.lat - a.lat) * f, lon: a.lon + (b.lon - a.lon) * f, outlier: true };
+  }
+  return result;
+}
+
+function filterGpsPoints(rawPoints, strategy, opts = GPS_FILTER_OPTIONS) {
+  if (strategy === "none") return rawPoints;
+  const points = collapseDuplicateTimestamps(rawPoints);
+  switch (strategy) {
+    case "median":
+      return movingMedianFilter(points, opts.medianWindow);
+    case "kalman":
+      return kalmanFilter(points, opts.kalmanAccuracy, opts.kalmanProcessNoise);
+    case "gate":
+      return speedGateFilter(points, opts.maxSpeedKmh, opts.maxAccel);
+    default:
+      return points;
+  }
+}
+
+// Puntos procesados con la velocidad sin filtrar al lado, para comparar en el gráfico
+function processWithRawSpeed(points, rawPoints) {
+  const processed = processGpxPoints(points);
+  const raw = points === rawPoints ? processed : processGpxPoints(rawPoints);
+  return processed.map((p, i) => ({ ...p, rawSpeed: raw[i].speed }));
+}
+
+// --- Calidad de los datos ---
+// Diagnóstico de un recorrido recién importado: lo que el parser descartó, la frecuencia de
+// muestreo, los huecos, los saltos imposibles y el ruido de posición, resumidos en un puntaje.
+
+const DEFAULT_GAP_SECONDS = 5;
+
+const QUALITY_LEVELS = [
+  { min: 85, label: "Buena", color: "#198754" },
+  { min: 60, label: "Aceptable", color: "#fd7e14" },
+  { min: 0, label: "Mala", color: "#dc3545" },
+];
+
+// Ruido de posición (m) sin HDOP: desvío de cada punto respecto de la interpolación entre
+// sus vecinos. Con ruido gaussiano la mediana de ese desvío ronda el error cuadrático medio
+// horizontal; el movimiento real casi no aporta porque a 1 Hz la aceleración es chica.
+function estimatePositionNoise(points, times, maxInterval) {
+  const deviations = [];
+  for (let i = 1; i < points.length - 1; i++) {
+    const dt1 = times[i] - times[i - 1];
+    const dt2 = times[i + 1] - times[i];
+    if (!(dt1 > 0 && dt2 > 0) || dt1 > maxInterval || dt2 > maxInterval) continue;
+    const origin = [points[i].lat, points[i].lon];
+    const [x0, y0] = toLocalMeters(points[i - 1].lat, points[i - 1].lon, origin);
+    const [x2, y2] = toLocalMeters(points[i + 1].lat, points[i + 1].lon, origin);
+    const f = dt1 / (dt1 + dt2);
+    deviations.push(Math.hypot(x0 + (x2 - x0) * f, y0 + (y2 - y0) * f));
+  }
+  return deviations.length ? median(deviations) : null;
+}
+
+// Puntaje 0-100: cada problema descuenta hasta un máximo, proporcional a su gravedad
+function qualityScore(report) {
+  const penalties = [
+    20 * Math.min(1, report.droppedShare / 0.1),
+    25 * Math.min(1, report.gapShare / 0.1),
+    report.sampling ? 15 * Math.min(1, Math.max(0, report.sampling.median - 1) / 4) : 15,
+    20 * Math.min(1, report.implausible.share / 0.02),
+    report.accuracy !== null ? 20 * Math.min(1, Math.max(0, report.accuracy - 1) / 4) : 0,
+  ];
+  return Math.max(0, Math.round(100 - penalties.reduce((acc, p) => acc + p, 0)));
+}
+
+function qualityLevel(score) {
+  return QUALITY_LEVELS.find((level) => score >= level.min);
+}
+
+// Saca los puntos con una hora que Date no puede leer y los cuenta como descartados sin
+// hora. Los parsers ya los filtran; esto cubre sesiones guardadas o exportadas antes, para
+// que ningún NaN llegue al filtro GPS ni a las búsquedas por tiempo.
+function withReadableTimes(rawPoints, dropped = {}) {
+  const readable = rawPoints.filter((p) => !isNaN(new Date(p.time)));
+  if (readable.length === rawPoints.length) return { rawPoints, dropped };
+  return {
+    rawPoints: readable,
+    dropped: { ...dropped, noTime: (dropped.noTime || 0) + rawPoints.length - readable.length },
+  };
+}
+
+// dropped son los puntos que el parser descartó ({ noTime, noPosition }); se informan los
+// huecos de más de gapSeconds y las velocidades por encima del límite del filtro GPS.
+// rawPoints ya viene sin horas ilegibles (withReadableTimes).
+function diagnoseTrack(rawPoints, dropped = {}, gapSeconds = DEFAULT_GAP_SECONDS) {
+  const noTime = dropped.noTime || 0;
+  const noPosition = dropped.noPosition || 0;
+  const times = rawPoints.map((p) => new Date(p.time).getTime() / 1000);
+  const t0 = times.length ? times[0] : 0;
+  const intervals = [];
+  const gaps = [];
+  const implausible = [];
+  let duplicates = 0;
+  let backwards = 0;
+
+  for (let i = 1; i < rawPoints.length; i++) {
+    const dt = times[i] - times[i - 1];
+    if (dt === 0) {
+      duplicates++;
+      continue;
+    }
+    if (dt < 0) {
+      backwards++;
+      continue;
+    }
+    intervals.push(dt);
+    if (dt > gapSeconds) gaps.push({ startIdx: i - 1, start: times[i - 1] - t0, duration: dt });
+    const a = rawPoints[i - 1];
+    const b = rawPoints[i];
+    const speed = haversineDistance([a.lat, a.lon], [b.lat, b.lon]) / (dt / 3600);
+    if (speed > GPS_FILTER_OPTIONS.maxSpeedKmh) implausible.push({ idx: i, start: times[i] - t0, speed });
+  }
+
+  const duration = intervals.reduce((acc, dt) => acc + dt, 0);
+  const gapTotal = gaps.reduce((acc, g) => acc + g.duration, 0);
+  const sampling = intervals.length
+    ? {
+        median: median(intervals),
+        mean: duration / intervals.length,
+        min: intervals.reduce((acc, dt) => Math.min(acc, dt), Infinity),
+        max: intervals.reduce((acc, dt) => Math.max(acc, dt), 0),
+      }
+    : null;
+  const total = rawPoints.length + noTime + noPosition;
+  const report = {
+    totalPoints: total,
+    keptPoints: rawPoints.length,
+    dropped: { noTime, noPosition },
+    droppedShare: total > 0 ? (noTime + noPosition) / total : 0,
+    duplicates,
+    backwards,
+    sampling,
+    gapSeconds,
+    gaps,
+    gapTotal,
+    gapShare: duration > 0 ? gapTotal / duration : 0,
+    implausible: {
+      count: implausible.length,
+      share: intervals.length ? implausible.length / intervals.length : 0,
+      maxSpeed: implausible.reduce((acc, j) => Math.max(acc, j.speed), 0),
+      limit: GPS_FILTER_OPTIONS.maxSpeedKmh,
+      jumps: implausible,
+    },
+    accuracy: estimatePositionNoise(rawPoints, times, Math.max(gapSeconds, 1)),
+  };
+  report.score = qualityScore(report);
+  report.level = qualityLevel(report.score);
+  return report;
+}
+
+// --- Detección de fases del partido ---
+
+function formatElapsed(seconds) {
+  const mins = Math.floor(seconds / 60);
+  const secs = Math.floor(seconds % 60);
+  return `${String(mins).padStart(2, '0')}:${String(secs).padStart(2, '0')}`;
+}
+
+// "mm:ss" (o solo minutos) -> segundos; NaN si no se puede interpretar
+function parseElapsed(text) {
+  const parts = String(text).trim().split(":").map((v) => parseFloat(v));
+  if (parts.some((v) => isNaN(v))) return NaN;
+  return parts.length === 1 ? parts[0] * 60 : parts[0] * 60 + parts[1];
+}
+
+// Primer índice cuyo elapsedSeconds es >= seconds (búsqueda binaria)
+function indexAtElapsed(processedPoints, seconds) {
+  let lo = 0;
+  let hi = processedPoints.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (processedPoints[mid].elapsedSeconds < seconds) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+const PHASE_DETECTION = {
+  lowSpeedKmh: 3, // por debajo de esto (promedio en ±30 s) se considera parado
+  minBreakSeconds: 180, // pausa mínima para cortar un bloque
+  gapSeconds: 60, // hueco sin muestras que también corta un bloque
+  minBlockSeconds: 300, // bloques activos más cortos se ignoran
+};
+
+// Busca pausas (tramos largos a baja velocidad o huecos de tiempo) y toma los dos
+// bloques activos más largos como los tiempos; lo previo es el calentamiento.
+function detectMatchPhases(processedPoints, opts = PHASE_DETECTION) {
+  const n = processedPoints ? processedPoints.length : 0;
+  if (n < 2) return [];
+  const t = processedPoints.map((p) => p.elapsedSeconds);
+
+  // Velocidad media en una ventana de ±30 s
+  const smooth = new Array(n);
+  let lo = 0, hi = 0, sum = 0;
+  for (let i = 0; i < n; i++) {
+    while (hi < n && t[hi] <= t[i] + 30) sum += processedPoints[hi++].speed;
+    while (t[lo] < t[i] - 30) sum -= processedPoints[lo++].speed;
+    smooth[i] = sum / (hi - lo);
+  }
+
+  const idle = new Array(n).fill(false);
+  let runStart = -1;
+  for (let i = 0; i <= n; i++) {
+    const low = i < n && smooth[i] < opts.lowSpeedKmh;
+    if (low && runStart < 0) runStart = i;
+    if (!low && runStart >= 0) {
+      if (t[i - 1] - t[runStart] >= opts.minBreakSeconds) idle.fill(true, runStart, i);
+      runStart = -1;
+    }
+  }
+
+  const duration = (b) => t[b.endIdx - 1] - t[b.startIdx];
+  let blocks = [];
+  let start = -1;
+  for (let i = 0; i <= n; i++) {
+    const gap = i > 0 && i < n && t[i] - t[i - 1] > opts.gapSeconds;
+    if (start >= 0 && (i === n || idle[i] || gap)) {
+      blocks.push({ startIdx: start, endIdx: i });
+      start = -1;
+    }
+    if (i < n && !idle[i] && start < 0) start = i;
+  }
+  blocks = blocks.filter((b) => duration(b) >= opts.minBlockSeconds);
+  if (blocks.length < 2) return [];
+
+  const [first, second] = [...blocks]
+    .sort((a, b) => duration(b) - duration(a))
+    .slice(0, 2)
+    .sort((a, b) => a.startIdx - b.startIdx);
+
+  const phases = [];
+  const before = blocks.filter((b) => b.endIdx <= first.startIdx);
+  if (before.length) {
+    phases.push({ label: "Calentamiento", startIdx: before[0].startIdx, endIdx: before[before.length - 1].endIdx });
+  }
+  phases.push({ label: "Primer Tiempo", startIdx: first.startIdx, endIdx: first.endIdx });
+  if (second.startIdx > first.endIdx) {
+    phases.push({ label: "Entretiempo", startIdx: first.endIdx, endIdx: second.startIdx });
+  }
+  phases.push({ label: "Segundo Tiempo", startIdx: second.startIdx, endIdx: second.endIdx });
+  return phases;
+}
+
+// --- Zonas de velocidad y sprints ---
+
+// Cada zona va desde su umbral (km/h) hasta el umbral de la siguiente
+const DEFAULT_SPEED_ZONES = [
+  { name: "Caminar", min: 0 },
+  { name: "Trote", min: 7 },
+  { name: "Carrera", min: 14 },
+  { name: "Alta velocidad", min: 19.8 },
+  { name: "Sprint", min: 25.2 },
+];
+
+const SPRINT_MIN_SECONDS = 1;
+
+function speedZoneIndex(speed, zones) {
+  let zoneIdx = 0;
+  while (zoneIdx + 1 < zones.length && speed >= zones[zoneIdx + 1].min) zoneIdx++;
+  return zoneIdx;
+}
+
+// Distancia (km) y tiempo (s) en cada zona dentro del rango [startIdx, endIdx)
+function computeSpeedZones(processedPoints, zones, startIdx, endIdx) {
+  const totals = zones.map((z) => ({ ...z, distance: 0, seconds: 0 }));
+  for (let i = Math.max(startIdx, 1); i < endIdx; i++) {
+    const p = processedPoints[i];
+    const dt = p.elapsedSeconds - processedPoints[i - 1].elapsedSeconds;
+    const zoneIdx = speedZoneIndex(p.speed, zones);
+    totals[zoneIdx].seconds += dt;
+    totals[zoneIdx].distance += (p.speed * dt) / 3600;
+  }
+  return totals;
+}
+
+// Esfuerzos continuos por encima del umbral de sprint
+function detectSprints(processedPoints, threshold, startIdx, endIdx) {
+  const sprints = [];
+  let current = null;
+  for (let i = startIdx; i <= endIdx; i++) {
+    const p = i < endIdx ? processedPoints[i] : null;
+    if (p && p.speed >= threshold) {
+      if (!current) current = { startIdx: i, peak: 0, distance: 0 };
+      current.peak = Math.max(current.peak, p.speed);
+      if (i > current.startIdx) {
+        current.distance += (p.speed * (p.elapsedSeconds - processedPoints[i - 1].elapsedSeconds)) / 3600;
+      }
+      continue;
+    }
+    if (current) {
+      current.endIdx = i;
+      current.start = processedPoints[current.startIdx].elapsedSeconds;
+      current.duration = processedPoints[i - 1].elapsedSeconds - current.start;
+      if (current.duration >= SPRINT_MIN_SECONDS) sprints.push(current);
+      current = null;
+    }
+  }
+  return sprints;
+}
+
+// --- Aceleraciones y carga mecánica ---
+
+// Tope de dt por intervalo en la carga, el heatmap y las zonas: un hueco de grabación no
+// debe pesar como tiempo parado
+const MAX_DWELL_SECONDS = 10;
+
+// Umbrales (m/s²) para contar aceleraciones y desaceleraciones, de menor a mayor
+const DEFAULT_ACCEL_THRESHOLDS = [2, 3];
+const ACCEL_MIN_SECONDS = 0.5;
+
+// Esfuerzos continuos con |aceleración| por encima del menor umbral, en el sentido de type.
+// level es la cantidad de umbrales superados por el pico.
+function detectAccelEvents(processedPoints, thresholds, startIdx, endIdx) {
+  const events = [];
+  const last = processedPoints.length - 1;
+  for (const type of ["accel", "decel"]) {
+    const sign = type === "accel" ? 1 : -1;
+    let current = null;
+    for (let i = startIdx; i <= endIdx; i++) {
+      const p = i < endIdx ? processedPoints[i] : null;
+      if (p && sign * p.accel >= thresholds[0]) {
+        if (!current) current = { type, startIdx: i, peak: 0 };
+        current.peak = Math.max(current.peak, sign * p.accel);
+        continue;
+      }
+      if (current) {
+        current.endIdx = i;
+        current.start = processedPoints[current.startIdx].elapsedSeconds;
+        current.duration = processedPoints[Math.min(i, last)].elapsedSeconds - current.start;
+        current.speedChange = processedPoints[Math.min(i, last)].speed - processedPoints[current.startIdx].speed;
+        current.level = thresholds.filter((t) => current.peak >= t).length;
+        if (current.duration >= ACCEL_MIN_SECONDS) events.push(current);
+        current = null;
+      }
+    }
+  }
+  return events.sort((a, b) => a.startIdx - b.startIdx);
+}
+
+// Carga mecánica: suma de |aceleración| · dt (m/s), total y solo de desaceleraciones.
+// Cuenta los intervalos entre puntos del rango [startIdx, endIdx), como rangeWorkload.
+function computeMechanicalLoad(processedPoints, startIdx, endIdx) {
+  const end = Math.min(endIdx, processedPoints.length);
+  let load = 0;
+  let decelLoad = 0;
+  for (let i = startIdx + 1; i < end; i++) {
+    const p = processedPoints[i];
+    const dt = Math.min(p.elapsedSeconds - processedPoints[i - 1].elapsedSeconds, MAX_DWELL_SECONDS);
+    if (!(dt > 0)) continue;
+    load += Math.abs(p.accel) * dt;
+    if (p.accel < 0) decelLoad -= p.accel * dt;
+  }
+  const minutes = end - 1 > startIdx
+    ? (processedPoints[end - 1].elapsedSeconds - processedPoints[startIdx].elapsedSeconds) / 60
+    : 0;
+  return { load, decelLoad, perMinute: minutes > 0 ? load / minutes : 0, decelPerMinute: minutes > 0 ? decelLoad / minutes : 0 };
+}
+
+// Resumen de un tramo de puntos procesados: distancia (km), duración (s), velocidades (km/h)
+function computeSummary(series) {
+  let distance = 0;
+  let maxSpeed = 0;
+  for (let i = 1; i < series.length; i++) {
+    distance += (series[i].speed * (series[i].elapsedSeconds - series[i - 1].elapsedSeconds)) / 3600;
+    maxSpeed = Math.max(maxSpeed, series[i].speed);
+  }
+  const duration = series.length > 1 ? series[series.length - 1].elapsedSeconds - series[0].elapsedSeconds : 0;
+  return { distance, duration, maxSpeed, avgSpeed: duration > 0 ? distance / (duration / 3600) : 0 };
+}
+
+// --- Ritmo de trabajo ---
+
+const MOVING_SPEED_KMH = 2; // Por debajo se cuenta como parado
+const WORK_RATE_HIGH_SPEED_KMH = 19.8; // Alta intensidad, como la zona «Alta velocidad» por defecto
+const WORK_RATE_BLOCK_MINUTES = [5, 15];
+const FATIGUE_WINDOW_MINUTES = 15;
+
+// Totales del rango [startIdx, endIdx): duración total y en movimiento (s), distancia (m),
+// distancia a alta intensidad (m, desde highSpeedKmh) y velocidad máxima (km/h)
+function rangeWorkload(processedPoints, startIdx, endIdx, highSpeedKmh) {
+  const end = Math.min(endIdx, processedPoints.length);
+  let distance = 0;
+  let moving = 0;
+  let highSpeed = 0;
+  let maxSpeed = 0;
+  for (let i = startIdx + 1; i < end; i++) {
+    const p = processedPoints[i];
+    const dt = p.elapsedSeconds - processedPoints[i - 1].elapsedSeconds;
+    if (!(dt > 0)) continue;
+    const d = (p.speed * dt) / 3.6;
+    distance += d;
+    if (p.speed >= MOVING_SPEED_KMH) moving += dt;
+    if (p.speed >= highSpeedKmh) highSpeed += d;
+    maxSpeed = Math.max(maxSpeed, p.speed);
+  }
+  const duration = end - 1 > startIdx
+    ? processedPoints[end - 1].elapsedSeconds - processedPoints[startIdx].elapsedSeconds
+    : 0;
+  const minutes = duration / 60;
+  return {
+    duration,
+    moving,
+    distance,
+    highSpeed,
+    maxSpeed,
+    avgSpeed: duration > 0 ? (distance / duration) * 3.6 : 0,
+    movingAvgSpeed: moving > 0 ? (distance / moving) * 3.6 : 0,
+    metersPerMinute: minutes > 0 ? distance / minutes : 0,
+    highSpeedPerMinute: minutes > 0 ? highSpeed / minutes : 0,
+  };
+}
+
+// Bloques consecutivos de minutes minutos desde el inicio del rango. El punto del borde
+// cierra un bloque y abre el siguiente, así cada intervalo cuenta una sola vez. Los bloques
+// que caen en un hueco de grabación salen vacíos (sin carga) para no correr la línea de
+// tiempo; el intervalo que cruza el hueco no se cuenta en ninguno.
+// start es el inicio del bloque en segundos desde el inicio del rango; el resto de los
+// campos los da measure(fromIdx, toIdx) sobre los puntos del bloque.
+function timeBlocks(processedPoints, startIdx, endIdx, minutes, measure) {
+  const end = Math.min(endIdx, processedPoints.length);
+  if (end - startIdx < 2) return [];
+  const length = minutes * 60;
+  const t0 = processedPoints[startIdx].elapsedSeconds;
+  const blocks = [];
+  let blockStartIdx = startIdx;
+  let block = 0;
+  for (let i = startIdx + 1; i < end; i++) {
+    const blockAt = Math.floor((processedPoints[i].elapsedSeconds - t0) / length);
+    if (blockAt === block) continue;
+    const closeAt = blockAt === block + 1 ? i + 1 : i;
+    blocks.push({ start: block * length, ...measure(blockStartIdx, closeAt) });
+    for (let b = block + 1; b < blockAt; b++) {
+      blocks.push({ start: b * length, ...measure(i, i) });
+    }
+    blockStartIdx = i;
+    block = blockAt;
+  }
+  // Un último punto justo en el borde no alcanza para abrir otro bloque
+  if (end - 1 > blockStartIdx) {
+    blocks.push({ start: block * length, ...measure(blockStartIdx, end) });
+  }
+  return blocks;
+}
+
+// Ritmo de trabajo (rangeWorkload) por bloques de minutes minutos
+function workRateBlocks(processedPoints, startIdx, endIdx, minutes, highSpeedKmh) {
+  return timeBlocks(processedPoints, startIdx, endIdx, minutes,
+    (from, to) => rangeWorkload(processedPoints, from, to, highSpeedKmh));
+}
+
+// Carga mecánica (computeMechanicalLoad) por bloques, con los mismos bordes que el ritmo
+function mechanicalLoadBlocks(processedPoints, startIdx, endIdx, minutes) {
+  return timeBlocks(processedPoints, startIdx, endIdx, minutes,
+    (from, to) => computeMechanicalLoad(processedPoints, from, to));
+}
+
+// Primer y último tramo del rango (windowMinutes, o un tercio si el rango es más corto),
+// para ver cuánto cae el ritmo hacia el final. change es la variación relativa del último.
+function fatigueComparison(processedPoints, startIdx, endIdx, highSpeedKmh, windowMinutes = FATIGUE_WINDOW_MINUTES) {
+  const end = Math.min(endIdx, processedPoints.length);
+  if (end - startIdx < 2) return null;
+  const t0 = processedPoints[startIdx].elapsedSeconds;
+  const t1 = processedPoints[end - 1].elapsedSeconds;
+  const window = Math.min(windowMinutes * 60, (t1 - t0) / 3);
+  if (!(window > 0)) return null;
+  const firstEnd = Math.min(indexAtElapsed(processedPoints, t0 + window) + 1, end);
+  const lastStart = Math.max(indexAtElapsed(processedPoints, t1 - window), startIdx);
+  const first = rangeWorkload(processedPoints, startIdx, firstEnd, highSpeedKmh);
+  const last = rangeWorkload(processedPoints, lastStart, end, highSpeedKmh);
+  const change = (key) => (first[key] > 0 ? last[key] / first[key] - 1 : null);
+  return {
+    window,
+    first,
+    last,
+    change: {
+      metersPerMinute: change("metersPerMinute"),
+      highSpeedPerMinute: change("highSpeedPerMinute"),
+      maxSpeed: change("maxSpeed"),
+    },
+  };
+}
+
+// --- Frecuencia cardíaca ---
+
+// Zonas como fracción de la FC máxima; la última no tiene techo
+const HR_ZONES = [
+  { name: "Z1", min: 0 },
+  { name: "Z2", min: 0.6 },
+  { name: "Z3", min: 0.7 },
+  { name: "Z4", min: 0.8 },
+  { name: "Z5", min: 0.9 },
+];
+
+const DEFAULT_MAX_HR = 190;
+
+function hasChannel(processedPoints, key) {
+  return !!processedPoints && processedPoints.some((p) => p[key] !== undefined);
+}
+
+// FC media (ponderada por tiempo), máxima y segundos en cada zona dentro de [startIdx, endIdx)
+function computeHrStats(processedPoints, maxHr, startIdx, endIdx) {
+  const zoneSeconds = HR_ZONES.map(() => 0);
+  let weighted = 0;
+  let seconds = 0;
+  let max = 0;
+  for (let i = Math.max(startIdx, 1); i < endIdx; i++) {
+    const p = processedPoints[i];
+    if (p.hr === undefined) continue;
+    const dt = p.elapsedSeconds - processedPoints[i - 1].elapsedSeconds;
+    let zoneIdx = 0;
+    while (zoneIdx + 1 < HR_ZONES.length && p.hr >= HR_ZONES[zoneIdx + 1].min * maxHr) zoneIdx++;
+    zoneSeconds[zoneIdx] += dt;
+    weighted += p.hr * dt;
+    seconds += dt;
+    max = Math.max(max, p.hr);
+  }
+  return { avg: seconds > 0 ? weighted / seconds : null, max, zoneSeconds };
+}
+
+// --- Ponderación del heatmap ---
+
+const HEATMAP_WEIGHTINGS = {
+  count: "Muestras",
+  dwell: "Tiempo de permanencia",
+  speed: "Velocidad",
+  intensity: "Solo alta intensidad",
+  hr: "Frecuencia cardíaca",
+};
+
+// Peso de cada punto en [startIdx, endIdx) según el modo elegido en params
+function heatmapWeights(processedPoints, startIdx, endIdx, params) {
+  const weights = [];
+  for (let i = startIdx; i < endIdx; i++) {
+    const p = processedPoints ? processedPoints[i] : null;
+    if (!p) {
+      weights.push(1);
+      continue;
+    }
+    switch (params.weighting) {
+      case "dwell": {
+        const next = processedPoints[i + 1];
+        const dt = next ? next.elapsedSeconds - p.elapsedSeconds : 0;
+        weights.push(Math.min(Math.max(dt, 0), MAX_DWELL_SECONDS));
+        break;
+      }
+      case "speed":
+        weights.push(p.speed);
+        break;
+      case "intensity":
+        weights.push(p.speed >= params.intensityThreshold ? 1 : 0);
+        break;
+      case "hr":
+        weights.push(p.hr !== undefined ? p.hr : 0);
+        break;
+      default:
+        weights.push(1);
+    }
+  }
+  return weights;
+}
+
+function centerOfPoints(points) {
+  if (!points || points.length === 0) return [0, 0];
+  const lats = points.map((p) => p.lat);
+  const lons = points.map((p) => p.lon);
+  return [(Math.min(...lats) + Math.max(...lats)) / 2, (Math.min(...lons) + Math.max(...lons)) / 2];
+}
+
+function boundsOfPoints(points) {
+  if (!points || points.length === 0) return [[0, 0], [0, 0]];
+  const lats = points.map((p) => p.lat);
+  const lons = points.map((p) => p.lon);
+  return [[Math.min(...lats), Math.min(...lons)], [Math.max(...lats), Math.max(...lons)]];
+}
+
+// --- Calibración de cancha ---
+
+const EARTH_RADIUS_M = 6371000;
+const DEFAULT_PITCH = { length: 105, width: 68 };
+
+const HEATMAP_GRADIENT = {
+  '.1': '#0000ff', '.2': '#00ff00', '.4': '#ffff00', '.6': '#ffa500', '.8': '#ff0000'
+};
+
+// Proyección equirectangular local (metros este/norte respecto de un origen).
+// A la escala de una cancha el error es despreciable.
+function toLocalMeters(lat, lon, origin) {
+  const x = (((lon - origin[1]) * Math.PI) / 180) * EARTH_RADIUS_M * Math.cos((origin[0] * Math.PI) / 180);
+  const y = (((lat - origin[0]) * Math.PI) / 180) * EARTH_RADIUS_M;
+  return [x, y];
+}
+
+function fromLocalMeters(x, y, origin) {
+  const lat = origin[0] + ((y / EARTH_RADIUS_M) * 180) / Math.PI;
+  const lon = origin[1] + ((x / (EARTH_RADIUS_M * Math.cos((origin[0] * Math.PI) / 180))) * 180) / Math.PI;
+  return [lat, lon];
+}
+
+// Eliminación gaussiana con pivoteo parcial. Devuelve null si el sistema es singular.
+function solveLinearSystem(A, b) {
+  const n = b.length;
+  const m = A.map((row, i) => [...row, b[i]]);
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) {
+      if (Math.abs(m[r][col]) > Math.abs(m[pivot][col])) pivot = r;
+    }
+    if (Math.abs(m[pivot][col]) < 1e-12) return null;
+    [m[col], m[pivot]] = [m[pivot], m[col]];
+    for (let r = col + 1; r < n; r++) {
+      const f = m[r][col] / m[col][col];
+      for (let c = col; c <= n; c++) m[r][c] -= f * m[col][c];
+    }
+  }
+  const x = new Array(n).fill(0);
+  for (let r = n - 1; r >= 0; r--) {
+    let sum = m[r][n];
+    for (let c = r + 1; c < n; c++) sum -= m[r][c] * x[c];
+    x[r] = sum / m[r][r];
+  }
+  return x;
+}
+
+// Homografía que lleva 4 puntos src a 4 puntos dst (h33 = 1)
+function computeHomography(src, dst) {
+  const A = [];
+  const b = [];
+  for (let i = 0; i < 4; i++) {
+    const [x, y] = src[i];
+    const [u, v] = dst[i];
+    A.push([x, y, 1, 0, 0, 0, -u * x, -u * y]);
+    b.push(u);
+    A.push([0, 0, 0, x, y, 1, -v * x, -v * y]);
+    b.push(v);
+  }
+  const h = solveLinearSystem(A, b);
+  return h ? [...h, 1] : null;
+}
+
+function applyHomography(H, x, y) {
+  const w = H[6] * x + H[7] * y + H[8];
+  return [(H[0] * x + H[1] * y + H[2]) / w, (H[3] * x + H[4] * y + H[5]) / w];
+}
+
+// Sin esquinas marcadas: rectángulo del tamaño indicado, centrado en el recorrido
+// y alineado con su eje principal (el jugador se mueve más a lo largo que a lo ancho).
+function estimatePitchCorners(points, length, width) {
+  const origin = centerOfPoints(points);
+  const local = points.map((p) => toLocalMeters(p.lat, p.lon, origin));
+  const n = local.length || 1;
+  const mx = local.reduce((acc, [x]) => acc + x, 0) / n;
+  const my = local.reduce((acc, [, y]) => acc + y, 0) / n;
+  let sxx = 0, syy = 0, sxy = 0;
+  for (const [x, y] of local) {
+    sxx += (x - mx) * (x - mx);
+    syy += (y - my) * (y - my);
+    sxy += (x - mx) * (y - my);
+  }
+  const angle = 0.5 * Math.atan2(2 * sxy, sxx - syy);
+  const u = [Math.cos(angle), Math.sin(angle)]; // dirección del largo
+  const v = [-u[1], u[0]]; // dirección del ancho
+  const corner = (sl, sw) => fromLocalMeters(
+    mx + (u[0] * sl * length) / 2 + (v[0] * sw * width) / 2,
+    my + (u[1] * sl * length) / 2 + (v[1] * sw * width) / 2,
+    origin
+  );
+  return [corner(-1, -1), corner(-1, 1), corner(1, 1), corner(1, -1)];
+}
+
+// Largo y ancho medidos a partir de 4 esquinas recorridas en orden desde un arco
+function measurePitchCorners(corners) {
+  const origin = corners[0];
+  const local = corners.map((c) => toLocalMeters(c[0], c[1], origin));
+  const d = (a, b) => Math.hypot(a[0] - b[0], a[1] - b[1]);
+  return {
+    length: (d(local[1], local[2]) + d(local[0], local[3])) / 2,
+    width: (d(local[0], local[1]) + d(local[3], local[2])) / 2,
+  };
+}
+
+// Devuelve una función (lat, lon) -> [x, y] en metros de cancha:
+// x a lo largo (0..length), y a lo ancho (0..width), origen en la esquina 1.
+function buildPitchProjection(pitch, points) {
+  const corners = pitch.corners || estimatePitchCorners(points, pitch.length, pitch.width);
+  const origin = corners[0];
+  const src = corners.map((c) => toLocalMeters(c[0], c[1], origin));
+  const dst = [[0, 0], [0, pitch.width], [pitch.length, pitch.width], [pitch.length, 0]];
+  const H = computeHomography(src, dst);
+  if (!H) return null;
+  return (lat, lon) => {
+    const [x, y] = toLocalMeters(lat, lon, origin);
+    return applyHomography(H, x, y);
+  };
+}
+
+// Inversa de buildPitchProjection: [x, y] en metros de cancha -> [lat, lon]
+function buildPitchUnprojection(pitch, points) {
+  const corners = pitch.corners || estimatePitchCorners(points, pitch.length, pitch.width);
+  const origin = corners[0];
+  const src = corners.map((c) => toLocalMeters(c[0], c[1], origin));
+  const dst = [[0, 0], [0, pitch.width], [pitch.length, pitch.width], [pitch.length, 0]];
+  const H = computeHomography(dst, src);
+  if (!H) return null;
+  return (x, y) => {
+    const [lx, ly] = applyHomography(H, x, y);
+    return fromLocalMeters(lx, ly, origin);
+  };
+}
+
+// --- Sentido de ataque ---
+// En el entretiempo se cambia de arco: los segmentos marcados con mirrored se reflejan por el
+// centro de la cancha antes del heatmap y las zonas, así todo el partido ataca hacia el mismo lado.
+
+const SIDE_SWITCH_MIN_SHIFT = 10; // m entre los centroides de los dos tiempos
+
+// Centro de la cancha [lat, lon]: la calibrada o la estimada con el recorrido
+function pitchCentre(pitch, points) {
+  const { length, width } = pitch || DEFAULT_PITCH;
+  const corners = (pitch && pitch.corners) || estimatePitchCorners(points, length, width);
+  return [
+    corners.reduce((acc, c) => acc + c[0], 0) / corners.length,
+    corners.reduce((acc, c) => acc + c[1], 0) / corners.length,
+  ];
+}
+
+// Puntos con los segmentos marcados reflejados (a esta escala la reflexión en lat/lon
+// equivale a la reflexión en metros). Sin segmentos marcados devuelve el mismo arreglo.
+function orientedPoints(sess) {
+  const mirrored = sess.segments.filter((seg) => seg.mirrored);
+  if (!mirrored.length) return sess.points;
+  const [clat, clon] = pitchCentre(sess.pitch, sess.points);
+  const flip = new Uint8Array(sess.points.length);
+  mirrored.forEach((seg) => flip.fill(1, seg.startIdx, Math.min(seg.endIdx, sess.points.length)));
+  return sess.points.map((p, i) => (flip[i] ? { ...p, lat: 2 * clat - p.lat, lon: 2 * clon - p.lon } : p));
+}
+
+// Los tiempos del partido: los dos segmentos más largos (sin contar la actividad completa)
+// que no se superponen, en orden cronológico y con su índice en idx. [] si no hay dos.
+function matchHalves(segments) {
+  const candidates = segments
+    .map((seg, idx) => ({ ...seg, idx }))
+    .filter((seg) => seg.idx > 0 && seg.endIdx > seg.startIdx)
+    .sort((a, b) => (b.endIdx - b.startIdx) - (a.endIdx - a.startIdx));
+  const first = candidates[0];
+  const second = first && candidates.find((seg) => seg.startIdx >= first.endIdx || seg.endIdx <= first.startIdx);
+  return second ? [first, second].sort((a, b) => a.startIdx - b.startIdx) : [];
+}
+
+// Cambio de lado sugerido: si los centroides de los dos tiempos quedan en mitades opuestas
+// de la cancha, devuelve el índice del segundo para reflejarlo. null si no hay nada que
+// sugerir o ya hay uno marcado.
+function suggestSideSwitch(sess) {
+  if (sess.segments.some((seg) => seg.mirrored)) return null;
+  const halves = matchHalves(sess.segments);
+  if (!halves.length) return null;
+  const pitch = sess.pitch || { corners: null, ...DEFAULT_PITCH };
+  const project = buildPitchProjection(pitch, sess.points);
+  if (!project) return null;
+  const centroidX = (seg) => {
+    const pts = sess.points.slice(seg.startIdx, Math.min(seg.endIdx, sess.points.length));
+    return pts.reduce((acc, p) => acc + project(p.lat, p.lon)[0], 0) / pts.length - pitch.length / 2;
+  };
+  const [a, b] = halves;
+  const xa = centroidX(a);
+  const xb = centroidX(b);
+  return Math.sign(xa) !== Math.sign(xb) && Math.abs(xa - xb) >= SIDE_SWITCH_MIN_SHIFT ? b.idx : null;
+}
+
+// --- Zonas de la cancha ---
+// El área (la cancha calibrada, el recorrido completo o un rectángulo dibujado) se trata
+// como una cancha: x a lo largo (se ataca hacia x creciente) e y a lo ancho.
+
+const ZONE_GRIDS = {
+  thirds: { label: "Tercios × carriles", cols: 3, rows: 3 },
+  eighteen: { label: "18 zonas", cols: 6, rows: 3 },
+  custom: { label: "Personalizada" },
+};
+const ZONE_AREAS = { pitch: "Cancha", bounds: "Recorrido", rect: "Rectángulo dibujado" };
+const DEFAULT_ZONE_GRID = { preset: "thirds", cols: 3, rows: 3, area: "bounds", rect: null, show: false };
+const THIRD_NAMES = ["Defensivo", "Medio", "Ofensivo"];
+const CHANNEL_NAMES = ["izquierda", "centro", "derecha"];
+
+// Zonas numeradas desde el arco propio, carril por carril
+function zoneName(col, row, cols, rows) {
+  if (cols === 3 && rows === 3) return `${THIRD_NAMES[col]} ${CHANNEL_NAMES[row]}`;
+  return `Zona ${col * rows + row + 1}`;
+}
+
+// Esquinas (en el orden de la calibración de cancha) y medidas del área a dividir
+function zoneAreaGeometry(zoneGrid, pitch, points) {
+  if (zoneGrid.area === "pitch" && pitch) {
+    return {
+      corners: pitch.corners || estimatePitchCorners(points, pitch.length, pitch.width),
+      length: pitch.length,
+      width: pitch.width,
+    };
+  }
+  const [[south, west], [north, east]] = zoneGrid.area === "rect" && zoneGrid.rect
+    ? zoneGrid.rect
+    : boundsOfPoints(points);
+  // Sin orientación conocida: se ataca hacia el este y la izquierda queda al norte
+  const corners = [[north, west], [south, west], [south, east], [north, east]];
+  return { corners, ...measurePitchCorners(corners) };
+}
+
+// Tiempo, distancia y velocidad media en cada zona dentro del rango [startIdx, endIdx).
+// share es la fracción del tiempo total del rango (fuera del área no suma a ninguna zona).
+function computeZoneOccupancy(processedPoints, points, project, area, cols, rows, startIdx, endIdx) {
+  const zones = [];
+  for (let col = 0; col < cols; col++) {
+    for (let row = 0; row < rows; row++) {
+      zones.push({ number: zones.length + 1, name: zoneName(col, row, cols, rows), col, row, seconds: 0, distance: 0 });
+    }
+  }
+  let totalSeconds = 0;
+  for (let i = Math.max(startIdx, 1); i < endIdx; i++) {
+    const p = processedPoints[i];
+    const dt = Math.min(p.elapsedSeconds - processedPoints[i - 1].elapsedSeconds, MAX_DWELL_SECONDS);
+    if (!(dt > 0)) continue;
+    totalSeconds += dt;
+    const [x, y] = project(points[i].lat, points[i].lon);
+    // Tolerancia para los puntos sobre el borde (el área del recorrido los toca siempre)
+    if (x < -0.01 || x > area.length + 0.01 || y < -0.01 || y > area.width + 0.01) continue;
+    const col = Math.min(Math.max(Math.floor((x / area.length) * cols), 0), cols - 1);
+    const row = Math.min(Math.max(Math.floor((y / area.width) * rows), 0), rows - 1);
+    const zone = zones[col * rows + row];
+    zone.seconds += dt;
+    zone.distance += (p.speed * dt) / 3.6; // m
+  }
+  return zones.map((z) => ({
+    ...z,
+    share: totalSeconds > 0 ? z.seconds / totalSeconds : 0,
+    avgSpeed: z.seconds > 0 ? (z.distance / z.seconds) * 3.6 : 0,
+  }));
+}
+
+// --- Grilla de densidad ---
+// La densidad se calcula sobre un marco en metros (el mapa o la cancha); la aplicación la
+// manda al worker y la línea de comandos la calcula directamente.
+
+// Parámetros iniciales del heatmap de una sesión
+const DEFAULT_HEATMAP_PARAMS = { radius: 20, maxOpacity: 50, blur: 30, weighting: "dwell", intensityThreshold: 19.8 };
+
+const MAX_GRID_SIZE = 1024; // celdas en el lado más largo
+const MIN_CELL_SIZE = 0.05; // m
+
+// Radio del kernel en metros: el slider "Radius" va en decímetros; "Blur" ablanda el kernel
+function kernelSigma(params) {
+  const radius = params.radius / 10;
+  return radius * (0.25 + (0.5 * params.blur) / 100);
+}
+
+// Marco geográfico: metros desde la esquina noroeste de box ({ south, west, north, east }),
+// ampliado para no cortar el kernel en el borde. bounds son los límites de la imagen resultante.
+function mapFrame(box, sigma) {
+  const pad = 3 * sigma;
+  const origin = [box.north, box.west];
+  const [east, south] = toLocalMeters(box.south, box.east, origin);
+  const width = east + 2 * pad;
+  const height = -south + 2 * pad;
+  const [north, west] = fromLocalMeters(-pad, pad, origin);
+  const [imageSouth, imageEast] = fromLocalMeters(width - pad, -(height - pad), origin);
+  return {
+    width,
+    height,
+    sigma,
+    project: (p) => {
+      const [x, y] = toLocalMeters(p.lat, p.lon, origin);
+      return [x + pad, -y + pad];
+    },
+    bounds: { south: imageSouth, west, north, east: imageEast },
+  };
+}
+
+// Rango [startIdx, endIdx) del segmento seleccionado; todo si el segmento no es válido
+function selectedSegmentRange(sess) {
+  const segment = sess.segments[sess.selectedSegmentIdx];
+  return (segment && segment.endIdx > segment.startIdx)
+    ? [segment.startIdx, Math.min(segment.endIdx, sess.points.length)]
+    : [0, sess.points.length];
+}
+
+function densityJob(points, frame) {
+  const cellSize = Math.max(MIN_CELL_SIZE, Math.max(frame.width, frame.height) / MAX_GRID_SIZE, frame.sigma / 4);
+  const xs = new Float32Array(points.length);
+  const ys = new Float32Array(points.length);
+  const weights = new Float32Array(points.length);
+  points.forEach((p, i) => {
+    [xs[i], ys[i]] = frame.project(p);
+    weights[i] = p.weight;
+  });
+  return {
+    xs, ys, weights,
+    cols: Math.max(1, Math.ceil(frame.width / cellSize)),
+    rows: Math.max(1, Math.ceil(frame.height / cellSize)),
+    cellSize,
+    sigma: frame.sigma,
+  };
+}
+
+// --- Escala de colores del heatmap ---
+// La grilla guarda peso por m²: con "Tiempo de permanencia", segundos por m². En escala
+// relativa cada heatmap se estira hasta su propio máximo; en la absoluta todos usan el mismo
+// tope y un color significa lo mismo en cualquier sesión.
+
+// Viridis, cividis y magma son perceptualmente uniformes y se leen también con daltonismo
+const HEATMAP_PALETTES = {
+  classic: { label: "Clásica (azul a rojo)", stops: HEATMAP_GRADIENT },
+  viridis: { label: "Viridis", stops: { 0: "#440154", 0.25: "#3b528b", 0.5: "#21918c", 0.75: "#5ec962", 1: "#fde725" } },
+  cividis: { label: "Cividis", stops: { 0: "#00204c", 0.25: "#414d6b", 0.5: "#7c7b78", 0.75: "#bcaf6f", 1: "#ffe945" } },
+  magma: { label: "Magma", stops: { 0: "#000004", 0.25: "#51127c", 0.5: "#b73779", 0.75: "#fc8961", 1: "#fcfdbf" } },
+};
+
+const HEATMAP_SCALE_MODES = {
+  relative: "Relativa a cada sesión",
+  absolute: "Absoluta, común a las sesiones abiertas",
+};
+
+// max: tope fijo de la escala absoluta (null = el mayor máximo entre las sesiones abiertas)
+const DEFAULT_HEATMAP_SCALE = { palette: "classic", mode: "relative", max: null };
+
+// Unidad de la densidad según la ponderación (el peso de cada punto, por m²)
+const DENSITY_UNITS = {
+  count: "muestras/m²",
+  dwell: "s/m²",
+  speed: "km/h·muestras/m²",
+  intensity: "muestras/m²",
+  hr: "ppm·muestras/m²",
+};
+
+// Dos cifras significativas alcanzan para leer la leyenda
+function formatDensity(value) {
+  if (!(value > 0)) return "0";
+  return value >= 100 ? String(Math.round(value)) : String(Number(value.toPrecision(2)));
+}
+
+export {
+  haversineDistance, processGpxPoints, GPS_FILTERS, DEFAULT_GPS_FILTER, filterGpsPoints,
+  processWithRawSpeed, DEFAULT_GAP_SECONDS, withReadableTimes, diagnoseTrack, formatElapsed,
+  parseElapsed, indexAtElapsed, detectMatchPhases, DEFAULT_SPEED_ZONES, speedZoneIndex,
+  computeSpeedZones, detectSprints, DEFAULT_ACCEL_THRESHOLDS, detectAccelEvents,
+  computeMechanicalLoad, computeSummary, WORK_RATE_HIGH_SPEED_KMH, WORK_RATE_BLOCK_MINUTES,
+  rangeWorkload, workRateBlocks, mechanicalLoadBlocks, fatigueComparison, HR_ZONES, DEFAULT_MAX_HR,
+  hasChannel, computeHrStats, HEATMAP_WEIGHTINGS, MAX_DWELL_SECONDS, heatmapWeights, centerOfPoints,
+  boundsOfPoints, DEFAULT_PITCH, HEATMAP_GRADIENT, toLocalMeters, fromLocalMeters,
+  estimatePitchCorners, measurePitchCorners, buildPitchProjection, buildPitchUnprojection,
+  orientedPoints, matchHalves, suggestSideSwitch, ZONE_GRIDS, ZONE_AREAS, DEFAULT_ZONE_GRID,
+  zoneAreaGeometry, computeZoneOccupancy, DEFAULT_HEATMAP_PARAMS, kernelSigma, mapFrame,
+  selectedSegmentRange, densityJob, HEATMAP_PALETTES, HEATMAP_SCALE_MODES, DEFAULT_HEATMAP_SCALE,
+  DENSITY_UNITS, formatDensity,
+};
@@ -0,0 +1,110 @@
+// --- Heatmap por estimación de densidad de kernel ---
+// Sin DOM: se usa desde el worker del heatmap y desde el hilo principal para colorear.
+// Las coordenadas van en metros sobre un marco rectangular (x a la derecha, y hacia abajo).
+
+// Kernel gaussiano 1D normalizado (suma 1), truncado en 3 sigmas
+function gaussianKernel(sigmaCells) {
+  const half = Math.max(1, Math.ceil(sigmaCells * 3));
+  const kernel = new Float32Array(half * 2 + 1);
+  let sum = 0;
+  for (let i = -half; i <= half; i++) {
+    const v = Math.exp(-(i * i) / (2 * sigmaCells * sigmaCells));
+    kernel[i + half] = v;
+    sum += v;
+  }
+  for (let i = 0; i < kernel.length; i++) kernel[i] /= sum;
+  return kernel;
+}
+
+// Desenfoque gaussiano separable (dos pasadas 1D) sobre la grilla, en el lugar
+function gaussianBlur(grid, cols, rows, sigmaCells) {
+  if (sigmaCells <= 0) return;
+  const kernel = gaussianKernel(sigmaCells);
+  const half = (kernel.length - 1) / 2;
+  const tmp = new Float32Array(grid.length);
+
+  for (let y = 0; y < rows; y++) {
+    const row = y * cols;
+    for (let x = 0; x < cols; x++) {
+      const v = grid[row + x];
+      if (v === 0) continue;
+      const from = Math.max(0, x - half);
+      const to = Math.min(cols - 1, x + half);
+      for (let k = from; k <= to; k++) tmp[row + k] += v * kernel[k - x + half];
+    }
+  }
+  grid.fill(0);
+  for (let y = 0; y < rows; y++) {
+    const from = Math.max(0, y - half);
+    const to = Math.min(rows - 1, y + half);
+    for (let x = 0; x < cols; x++) {
+      const v = tmp[y * cols + x];
+      if (v === 0) continue;
+      for (let k = from; k <= to; k++) grid[k * cols + x] += v * kernel[k - y + half];
+    }
+  }
+}
+
+// Densidad por m²: cada punto aporta su peso repartido por el kernel.
+// Con pesos en segundos (modo permanencia) el resultado queda en s/m².
+function densityGrid({ xs, ys, weights, cols, rows, cellSize, sigma }) {
+  const grid = new Float32Array(cols * rows);
+  const cellArea = cellSize * cellSize;
+  for (let i = 0; i < xs.length; i++) {
+    const cx = Math.floor(xs[i] / cellSize);
+    const cy = Math.floor(ys[i] / cellSize);
+    if (cx < 0 || cy < 0 || cx >= cols || cy >= rows) continue;
+    grid[cy * cols + cx] += weights[i] / cellArea;
+  }
+  gaussianBlur(grid, cols, rows, sigma / cellSize);
+
+  let max = 0;
+  for (let i = 0; i < grid.length; i++) if (grid[i] > max) max = grid[i];
+  return { grid, cols, rows, cellSize, max };
+}
+
+function hexToRgb(hex) {
+  const v = parseInt(hex.slice(1), 16);
+  return [(v >> 16) & 255, (v >> 8) & 255, v & 255];
+}
+
+// Paleta de 256 colores RGBA interpolando paradas { "0.1": "#0000ff", ... }
+// (antes de la primera parada se repite su color, como en heatmap.js)
+function paletteFromStops(stops) {
+  const entries = Object.entries(stops)
+    .map(([at, color]) => [parseFloat(at), hexToRgb(color)])
+    .sort((a, b) => a[0] - b[0]);
+  const palette = new Uint8ClampedArray(256 * 4);
+  for (let i = 0; i < 256; i++) {
+    const t = i / 255;
+    let next = entries.findIndex(([at]) => at >= t);
+    if (next === -1) next = entries.length - 1;
+    const prev = Math.max(0, next - 1);
+    const [a0, c0] = entries[prev];
+    const [a1, c1] = entries[next];
+    const f = a1 > a0 ? Math.min(1, Math.max(0, (t - a0) / (a1 - a0))) : 1;
+    for (let c = 0; c < 3; c++) palette[i * 4 + c] = c0[c] + (c1[c] - c0[c]) * f;
+    palette[i * 4 + 3] = 255;
+  }
+  return palette;
+}
+
+// Grilla de densidad -> píxeles RGBA. maxValue es el valor que satura la paleta
+// y maxOpacity (0..1) limita la opacidad, como en heatmap.js.
+function colorizeDensity({ grid, cols, rows }, palette, maxValue, maxOpacity) {
+  const pixels = new Uint8ClampedArray(cols * rows * 4);
+  if (!(maxValue > 0)) return pixels;
+  const maxAlpha = maxOpacity * 255;
+  for (let i = 0; i < grid.length; i++) {
+    if (grid[i] <= 0) continue;
+    const idx = Math.min(255, Math.round((grid[i] / maxValue) * 255));
+    if (idx === 0) continue;
+    pixels[i * 4] = palette[idx * 4];
+    pixels[i * 4 + 1] = palette[idx * 4 + 1];
+    pixels[i * 4 + 2] = palette[idx * 4 + 2];
+    pixels[i * 4 + 3] = Math.min(idx, maxAlpha);
+  }
+  return pixels;
+}
+
+export { densityGrid, gaussianBlur, paletteFromStops, colorizeDensity };
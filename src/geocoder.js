@@ -0,0 +1,95 @@
+// --- Geocodificación inversa ---
+// Las consultas pasan por una cola de a una por segundo (política de uso de Nominatim) y los
+// resultados se guardan en localStorage, así una sesión ya vista no vuelve a consultar. Las
+// consultas fallidas no se guardan: se recuerdan solo en memoria y por un rato, para no
+// insistir con un servidor caído.
+
+const CACHE_KEY = "futbol-heatmap:geocache";
+const NOMINATIM_URL = "https://nominatim.openstreetmap.org";
+const MIN_INTERVAL_MS = 1000;
+const FAILURE_RETRY_MS = 10 * 60 * 1000; // Después de esto un punto que falló se vuelve a consultar
+
+let config = { mode: "nominatim", url: NOMINATIM_URL };
+let queue = Promise.resolve();
+let lastRequestAt = 0;
+let cache = null;
+let failedAt = {}; // cacheKey -> Date.now() de la última consulta fallida
+
+// settings: { geocoder: "nominatim" | "custom" | "off", geocoderUrl }. Un servidor propio sin
+// URL queda desactivado (si no, se consultaría una ruta relativa a la aplicación).
+function configureGeocoder(settings) {
+  const customUrl = (settings.geocoderUrl || "").trim().replace(/\/+$/, "");
+  const mode = settings.geocoder === "custom" && !customUrl ? "off" : settings.geocoder;
+  const url = mode === "custom" ? customUrl : NOMINATIM_URL;
+  if (mode !== config.mode || url !== config.url) failedAt = {}; // Otro servidor: vale reintentar
+  config = { mode, url };
+}
+
+function loadCache() {
+  if (!cache) {
+    try {
+      cache = JSON.parse(localStorage.getItem(CACHE_KEY)) || {};
+    } catch {
+      cache = {};
+    }
+  }
+  return cache;
+}
+
+function saveCache() {
+  try {
+    localStorage.setItem(CACHE_KEY, JSON.stringify(cache));
+  } catch (error) {
+    console.error("No se pudo guardar la caché de lugares:", error); // Sigue en memoria
+  }
+}
+
+function clearGeocodeCache() {
+  cache = {};
+  failedAt = {};
+  saveCache();
+}
+
+function geocodeCacheSize() {
+  return Object.keys(loadCache()).length;
+}
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function fetchPlaceName(lat, lon, baseUrl) {
+  const elapsed = Date.now() - lastRequestAt;
+  if (elapsed < MIN_INTERVAL_MS) await wait(MIN_INTERVAL_MS - elapsed);
+  lastRequestAt = Date.now();
+  const response = await fetch(`${baseUrl}/reverse?format=json&lat=${lat}&lon=${lon}&zoom=16`);
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  const data = await response.json();
+  return data.display_name.split(",")[0] || data.display_name;
+}
+
+const recentlyFailed = (cacheKey) => Date.now() - (failedAt[cacheKey] || 0) < FAILURE_RETRY_MS;
+
+// Nombre del lugar, o null si la geocodificación está desactivada o la consulta falla
+function reverseGeocode(lat, lon) {
+  if (config.mode === "off") return Promise.resolve(null);
+  const cacheKey = `${lat.toFixed(4)},${lon.toFixed(4)}`;
+  if (loadCache()[cacheKey]) return Promise.resolve(cache[cacheKey]);
+  if (recentlyFailed(cacheKey)) return Promise.resolve(null);
+
+  const { url } = config;
+  const result = queue.then(async () => {
+    if (cache[cacheKey]) return cache[cacheKey]; // Lo resolvió otra consulta de la cola
+    if (recentlyFailed(cacheKey)) return null; // Falló en otra consulta de la cola
+    const name = await fetchPlaceName(lat, lon, url);
+    cache[cacheKey] = name;
+    saveCache();
+    return name;
+  });
+  queue = result.catch(() => null);
+  return result.catch((error) => {
+    console.error("Reverse geocoding failed:", error);
+    failedAt[cacheKey] = Date.now();
+    return null;
+  });
+}
+
+export { configureGeocoder, reverseGeocode, clearGeocodeCache, geocodeCacheSize };
@@ -0,0 +1,8 @@
+// Worker del heatmap: calcula la grilla de densidad fuera del hilo principal
+import { densityGrid } from "./density.js";
+
+self.onmessage = (e) => {
+  const { jobId, ...job } = e.data;
+  const result = densityGrid(job);
+  self.postMessage({ jobId, ...result }, [result.grid.buffer]);
+};
@@ -0,0 +1,117 @@
+// --- Ajustes de mapas y geocodificación (localStorage) ---
+// Las capas de teselas son configurables para poder usar un servidor local (p. ej. uno que
+// sirve un archivo MBTiles) en canchas sin conexión. También se recuerda la escala de colores
+// del heatmap.
+
+import { DEFAULT_HEATMAP_SCALE } from "./analysis.js";
+
+const SETTINGS_KEY = "futbol-heatmap:settings";
+
+// kind: "base" (se elige una) u "overlay" (se superponen); checked: visible al abrir el mapa
+const BUILTIN_TILE_PROVIDERS = [
+  {
+    id: "osm",
+    name: "Mapa (OSM)",
+    kind: "base",
+    url: "https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png",
+    attribution: "© OpenStreetMap",
+    enabled: true,
+    checked: false,
+  },
+  {
+    id: "esri-imagery",
+    name: "Satélite (Esri)",
+    kind: "base",
+    url: "https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}",
+    attribution: "Tiles © Esri",
+    enabled: true,
+    checked: true,
+  },
+  {
+    id: "esri-labels",
+    name: "Líneas y Referencias (Híbrido)",
+    kind: "overlay",
+    url: "https://server.arcgisonline.com/ArcGIS/rest/services/Reference/World_Boundaries_and_Places/MapServer/tile/{z}/{y}/{x}",
+    attribution: "Labels © Esri",
+    enabled: true,
+    checked: true,
+  },
+];
+
+const GEOCODERS = {
+  nominatim: "Nominatim público",
+  custom: "Servidor compatible con Nominatim",
+  off: "Desactivada",
+};
+
+const DEFAULT_SETTINGS = {
+  tileProviders: BUILTIN_TILE_PROVIDERS,
+  geocoder: "nominatim",
+  geocoderUrl: "http://localhost:8088",
+  heatmapScale: DEFAULT_HEATMAP_SCALE,
+};
+
+// De las capas incluidas solo se guarda si están activas y marcadas: la definición sale
+// siempre del código, así un cambio de URL o atribución llega también a ajustes ya guardados.
+// Las capas agregadas por el usuario (custom) se guardan completas.
+function storedTileProviders(providers) {
+  return providers.map((p) => (p.custom ? p : { id: p.id, enabled: p.enabled, checked: p.checked }));
+}
+
+// Inversa de storedTileProviders. Descarta capas incluidas que ya no existen y agrega al
+// final las nuevas, con su estado por defecto.
+function restoreTileProviders(stored) {
+  if (!Array.isArray(stored)) return BUILTIN_TILE_PROVIDERS;
+  const builtins = new Map(BUILTIN_TILE_PROVIDERS.map((p) => [p.id, p]));
+  const restored = stored
+    .filter((p) => p.custom || builtins.has(p.id))
+    .map((p) => (p.custom ? p : {
+      ...builtins.get(p.id),
+      enabled: p.enabled ?? builtins.get(p.id).enabled,
+      checked: p.checked ?? builtins.get(p.id).checked,
+    }));
+  const added = BUILTIN_TILE_PROVIDERS.filter((p) => !stored.some((s) => s.id === p.id));
+  return [...restored, ...added];
+}
+
+function loadSettings() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+    if (!stored) return DEFAULT_SETTINGS;
+    return { ...DEFAULT_SETTINGS, ...stored, tileProviders: restoreTileProviders(stored.tileProviders) };
+  } catch {
+    return DEFAULT_SETTINGS;
+  }
+}
+
+function saveSettings(settings) {
+  try {
+    const stored = { ...settings, tileProviders: storedTileProviders(settings.tileProviders) };
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(stored));
+  } catch (error) {
+    console.error("No se pudieron guardar los ajustes:", error);
+  }
+}
+
+// Capas habilitadas, garantizando que haya exactamente una base marcada
+function activeTileProviders(settings) {
+  const enabled = settings.tileProviders.filter((p) => p.enabled);
+  const bases = enabled.filter((p) => p.kind === "base");
+  const checkedBase = bases.find((p) => p.checked) || bases[0];
+  return enabled.map((p) => (p.kind === "base" ? { ...p, checked: p === checkedBase } : p));
+}
+
+// URL de una tesela concreta a partir de la plantilla ({s} toma el primer subdominio)
+function tileUrl(template, z, x, y) {
+  return template.replace("{s}", "a").replace("{z}", z).replace("{x}", x).replace("{y}", y);
+}
+
+export {
+  BUILTIN_TILE_PROVIDERS,
+  GEOCODERS,
+  DEFAULT_SETTINGS,
+  loadSettings,
+  saveSettings,
+  activeTileProviders,
+  tileUrl,
+};
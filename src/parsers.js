@@ -0,0 +1,377 @@
+// --- Lectura de archivos de recorrido ---
+// Cada formato se normaliza a { points, startTime, dropped }, con points = [{ lat, lon, time, ele?, hr?, cad? }]
+// y time como string ISO. Los canales de sensores solo se incluyen si el archivo los trae.
+// dropped = { noTime, noPosition } cuenta los puntos descartados, para el diagnóstico de importación.
+
+function parseXmlDocument(xmlText) {
+  const parser = new DOMParser();
+  const xmlDoc = parser.parseFromString(xmlText, "text/xml");
+  // El navegador no lanza: deja un <parsererror> en el documento
+  if (xmlDoc.getElementsByTagName("parsererror").length) throw new Error("XML mal formado");
+  return xmlDoc;
+}
+
+// Primer descendiente con ese nombre local, sin importar el namespace
+function childByName(node, name) {
+  return node.getElementsByTagNameNS("*", name)[0] || null;
+}
+
+function numberFrom(node) {
+  if (!node) return undefined;
+  const value = parseFloat(node.textContent);
+  return isNaN(value) ? undefined : value;
+}
+
+// Agrega solo los canales presentes para no llenar los puntos de undefined
+function withChannels(point, channels) {
+  for (const key in channels) {
+    if (channels[key] !== undefined && !isNaN(channels[key])) point[key] = channels[key];
+  }
+  return point;
+}
+
+function newDropCounts() {
+  return { noTime: 0, noPosition: 0 };
+}
+
+function firstStartTime(points) {
+  return points.length ? new Date(points[0].time) : null;
+}
+
+// Una hora que Date no puede leer cuenta como ausente: el punto se descarta
+function readableTime(text) {
+  const time = text ? text.trim() : "";
+  return time && !isNaN(new Date(time)) ? time : null;
+}
+
+function parseGPX(xmlText) {
+  let points = [];
+  const dropped = newDropCounts();
+  const xmlDoc = parseXmlDocument(xmlText);
+  const trackpoints = xmlDoc.getElementsByTagName("trkpt");
+
+  for (let i = 0; i < trackpoints.length; i++) {
+    const pt = trackpoints[i];
+    const lat = parseFloat(pt.getAttribute("lat"));
+    const lon = parseFloat(pt.getAttribute("lon"));
+    const timeElem = pt.getElementsByTagName("time")[0];
+    const time = timeElem ? readableTime(timeElem.textContent) : null;
+
+    if (!time) {
+      dropped.noTime++;
+    } else if (isNaN(lat) || isNaN(lon)) {
+      dropped.noPosition++;
+    } else {
+      // Elevación y extensiones de sensores (gpxtpx:TrackPointExtension de Garmin y similares)
+      points.push(withChannels({ lat, lon, time }, {
+        ele: numberFrom(pt.getElementsByTagName("ele")[0]),
+        hr: numberFrom(childByName(pt, "hr")),
+        cad: numberFrom(childByName(pt, "cad")),
+      }));
+    }
+  }
+  return { points, startTime: firstStartTime(points), dropped };
+}
+
+// Garmin Training Center: Trackpoint con Position, AltitudeMeters, HeartRateBpm y Cadence
+function parseTCX(xmlText) {
+  const xmlDoc = parseXmlDocument(xmlText);
+  const trackpoints = xmlDoc.getElementsByTagNameNS("*", "Trackpoint");
+  const points = [];
+  const dropped = newDropCounts();
+
+  for (let i = 0; i < trackpoints.length; i++) {
+    const pt = trackpoints[i];
+    const timeElem = childByName(pt, "Time");
+    const time = timeElem ? readableTime(timeElem.textContent) : null;
+    const lat = numberFrom(childByName(pt, "LatitudeDegrees"));
+    const lon = numberFrom(childByName(pt, "LongitudeDegrees"));
+    if (!time) {
+      dropped.noTime++;
+      continue;
+    }
+    if (lat === undefined || lon === undefined) {
+      dropped.noPosition++; // Pausas o tramos sin GPS
+      continue;
+    }
+
+    const hrElem = childByName(pt, "HeartRateBpm");
+    points.push(withChannels({ lat, lon, time }, {
+      ele: numberFrom(childByName(pt, "AltitudeMeters")),
+      hr: hrElem ? numberFrom(childByName(hrElem, "Value")) : undefined,
+      cad: numberFrom(childByName(pt, "Cadence")),
+    }));
+  }
+  return { points, startTime: firstStartTime(points), dropped };
+}
+
+// KML con gx:Track (pares <when>/<gx:coord>); un LineString no tiene tiempos y no sirve
+function parseKML(xmlText) {
+  const xmlDoc = parseXmlDocument(xmlText);
+  const tracks = xmlDoc.getElementsByTagNameNS("*", "Track");
+  const points = [];
+  const dropped = newDropCounts();
+
+  for (let t = 0; t < tracks.length; t++) {
+    const whens = tracks[t].getElementsByTagNameNS("*", "when");
+    const coords = tracks[t].getElementsByTagNameNS("*", "coord");
+    const count = Math.min(whens.length, coords.length);
+    dropped.noTime += Math.max(coords.length - whens.length, 0);
+    dropped.noPosition += Math.max(whens.length - coords.length, 0);
+    for (let i = 0; i < count; i++) {
+      const time = readableTime(whens[i].textContent);
+      const [lon, lat, ele] = coords[i].textContent.trim().split(/\s+/).map(parseFloat);
+      if (!time) {
+        dropped.noTime++;
+        continue;
+      }
+      if (isNaN(lat) || isNaN(lon)) {
+        dropped.noPosition++;
+        continue;
+      }
+      points.push(withChannels({ lat, lon, time }, { ele }));
+    }
+  }
+  return { points, startTime: firstStartTime(points), dropped };
+}
+
+// GeoJSON LineString/MultiLineString con tiempos en properties.coordTimes
+// o properties.coordinateProperties.times (formato de togeojson). Una geometría suelta se
+// lee como un Feature sin propiedades: sin tiempos, sus puntos cuentan como descartados.
+function parseGeoJSON(text) {
+  const data = JSON.parse(text);
+  const features = data.type === "FeatureCollection" ? data.features
+    : data.type === "Feature" ? [data]
+    : [{ geometry: data }];
+  const points = [];
+  const dropped = newDropCounts();
+
+  for (const feature of features) {
+    if (!feature || !feature.geometry) continue;
+    const { geometry } = feature;
+    const props = feature.properties || {};
+    const coordProps = props.coordinateProperties || {};
+    const lines = geometry.type === "LineString" ? [geometry.coordinates]
+      : geometry.type === "MultiLineString" ? geometry.coordinates
+      : [];
+    const times = coordProps.times || props.coordTimes;
+    const heart = coordProps.heart || coordProps.heartRates || props.heartRates;
+    const cadence = coordProps.cadence || coordProps.cadences;
+
+    lines.forEach((line, lineIdx) => {
+      // En MultiLineString los arreglos por coordenada vienen anidados por línea
+      const pick = (arr) => (arr && Array.isArray(arr[0]) ? arr[lineIdx] : arr);
+      const lineTimes = pick(times);
+      const lineHeart = pick(heart);
+      const lineCadence = pick(cadence);
+      if (!lineTimes) {
+        dropped.noTime += line.length;
+        return;
+      }
+      line.forEach(([lon, lat, ele], i) => {
+        const time = lineTimes[i] ? new Date(lineTimes[i]) : null;
+        if (!time || isNaN(time)) {
+          dropped.noTime++; // Sin tiempo o con uno que no se puede leer
+          return;
+        }
+        if (isNaN(lat) || isNaN(lon)) {
+          dropped.noPosition++;
+          return;
+        }
+        points.push(withChannels({ lat, lon, time: time.toISOString() }, {
+          ele,
+          hr: lineHeart ? lineHeart[i] : undefined,
+          cad: lineCadence ? lineCadence[i] : undefined,
+        }));
+      });
+    });
+  }
+  return { points, startTime: firstStartTime(points), dropped };
+}
+
+// --- FIT (binario de Garmin y otros) ---
+// Decodificador mínimo: solo lee los mensajes "record" (número global 20).
+
+const FIT_EPOCH_OFFSET = 631065600; // 1989-12-31T00:00:00Z en segundos Unix
+const FIT_RECORD_MESSAGE = 20;
+const FIT_FIELDS = {
+  timestamp: 253,
+  lat: 0,
+  lon: 1,
+  altitude: 2,
+  hr: 3,
+  cad: 4,
+  enhancedAltitude: 78,
+};
+const SEMICIRCLES_TO_DEGREES = 180 / 2 ** 31;
+
+// Valor de un campo numérico simple; undefined si es el valor "inválido" del tipo
+function readFitValue(view, offset, size, baseType, littleEndian) {
+  const type = baseType & 0x1f;
+  const signed = type === 1 || type === 3 || type === 5;
+  let value;
+  let invalid;
+  if (size === 1) {
+    value = signed ? view.getInt8(offset) : view.getUint8(offset);
+    invalid = signed ? 0x7f : 0xff;
+  } else if (size === 2) {
+    value = signed ? view.getInt16(offset, littleEndian) : view.getUint16(offset, littleEndian);
+    invalid = signed ? 0x7fff : 0xffff;
+  } else if (size === 4) {
+    value = signed ? view.getInt32(offset, littleEndian) : view.getUint32(offset, littleEndian);
+    invalid = signed ? 0x7fffffff : 0xffffffff;
+  } else {
+    return undefined;
+  }
+  // Los tipos "z" (uint8z, uint16z, uint32z) usan 0 como inválido
+  if (type >= 10 && type <= 12) invalid = 0;
+  return value === invalid ? undefined : value;
+}
+
+function parseFIT(buffer) {
+  const view = new DataView(buffer);
+  const headerSize = view.getUint8(0);
+  const dataSize = view.getUint32(4, true);
+  const end = Math.min(headerSize + dataSize, buffer.byteLength);
+  const definitions = {};
+  const points = [];
+  const dropped = newDropCounts();
+  let offset = headerSize;
+  let lastTimestamp = null;
+
+  while (offset < end) {
+    const header = view.getUint8(offset++);
+    let localType;
+    let compressedOffset = null;
+
+    if (header & 0x80) {
+      // Encabezado de timestamp comprimido
+      localType = (header >> 5) & 0x03;
+      compressedOffset = header & 0x1f;
+    } else {
+      localType = header & 0x0f;
+      if (header & 0x40) {
+        const littleEndian = view.getUint8(offset + 1) === 0;
+        const globalNum = view.getUint16(offset + 2, littleEndian);
+        const fieldCount = view.getUint8(offset + 4);
+        offset += 5;
+        const fields = [];
+        for (let i = 0; i < fieldCount; i++) {
+          fields.push({ num: view.getUint8(offset), size: view.getUint8(offset + 1), baseType: view.getUint8(offset + 2) });
+          offset += 3;
+        }
+        let devSize = 0;
+        if (header & 0x20) {
+          const devCount = view.getUint8(offset++);
+          for (let i = 0; i < devCount; i++) {
+            devSize += view.getUint8(offset + 1);
+            offset += 3;
+          }
+        }
+        definitions[localType] = { littleEndian, globalNum, fields, devSize };
+        continue;
+      }
+    }
+
+    const def = definitions[localType];
+    if (!def) throw new Error(`FIT: mensaje sin definición (tipo local ${localType})`);
+    const values = {};
+    for (const field of def.fields) {
+      values[field.num] = readFitValue(view, offset, field.size, field.baseType, def.littleEndian);
+      offset += field.size;
+    }
+    offset += def.devSize;
+
+    if (values[FIT_FIELDS.timestamp] !== undefined) {
+      lastTimestamp = values[FIT_FIELDS.timestamp];
+    } else if (compressedOffset !== null && lastTimestamp !== null) {
+      let ts = (lastTimestamp & ~0x1f) + compressedOffset;
+      if (compressedOffset < (lastTimestamp & 0x1f)) ts += 0x20;
+      lastTimestamp = ts;
+    }
+
+    if (def.globalNum !== FIT_RECORD_MESSAGE) continue;
+    if (lastTimestamp === null) {
+      dropped.noTime++;
+      continue;
+    }
+    const rawLat = values[FIT_FIELDS.lat];
+    const rawLon = values[FIT_FIELDS.lon];
+    if (rawLat === undefined || rawLon === undefined) {
+      dropped.noPosition++;
+      continue;
+    }
+
+    const rawAltitude = values[FIT_FIELDS.enhancedAltitude] ?? values[FIT_FIELDS.altitude];
+    points.push(withChannels({
+      lat: rawLat * SEMICIRCLES_TO_DEGREES,
+      lon: rawLon * SEMICIRCLES_TO_DEGREES,
+      time: new Date((lastTimestamp + FIT_EPOCH_OFFSET) * 1000).toISOString(),
+    }, {
+      ele: rawAltitude !== undefined ? rawAltitude / 5 - 500 : undefined,
+      hr: values[FIT_FIELDS.hr],
+      cad: values[FIT_FIELDS.cad],
+    }));
+  }
+  return { points, startTime: firstStartTime(points), dropped };
+}
+
+// --- Registro de formatos ---
+// Para sumar un formato alcanza con agregar una entrada: binary indica si parse
+// recibe un ArrayBuffer; sniff reconoce el contenido aunque la extensión no coincida.
+
+const TRACK_PARSERS = [
+  {
+    format: "fit",
+    extensions: [".fit"],
+    binary: true,
+    sniff: (bytes) => bytes.length >= 12 && String.fromCharCode(...bytes.slice(8, 12)) === ".FIT",
+    parse: parseFIT,
+  },
+  {
+    format: "gpx",
+    extensions: [".gpx"],
+    sniff: (_, head) => /<gpx[\s>]/.test(head),
+    parse: parseGPX,
+  },
+  {
+    format: "tcx",
+    extensions: [".tcx"],
+    sniff: (_, head) => /<TrainingCenterDatabase[\s>]/.test(head),
+    parse: parseTCX,
+  },
+  {
+    format: "kml",
+    extensions: [".kml"],
+    sniff: (_, head) => /<kml[\s>]/.test(head),
+    parse: parseKML,
+  },
+  {
+    format: "geojson",
+    extensions: [".geojson", ".json"],
+    sniff: (_, head) => /^\s*\{/.test(head) && /"type"\s*:\s*"(FeatureCollection|Feature|LineString|MultiLineString)"/.test(head),
+    parse: parseGeoJSON,
+  },
+];
+
+const TRACK_FILE_EXTENSIONS = TRACK_PARSERS.flatMap((p) => p.extensions);
+
+function detectTrackParser(fileName, bytes) {
+  const head = new TextDecoder().decode(bytes.slice(0, 2048));
+  const byContent = TRACK_PARSERS.find((p) => p.sniff(bytes, head));
+  if (byContent) return byContent;
+  const name = fileName.toLowerCase();
+  return TRACK_PARSERS.find((p) => p.extensions.some((ext) => name.endsWith(ext))) || null;
+}
+
+// Devuelve { points, startTime, dropped, format } o null si el formato no es reconocido
+async function parseTrackFile(file) {
+  const buffer = await file.arrayBuffer();
+  const bytes = new Uint8Array(buffer);
+  const parser = detectTrackParser(file.name, bytes);
+  if (!parser) return null;
+  const input = parser.binary ? buffer : new TextDecoder().decode(bytes);
+  return { ...parser.parse(input), format: parser.format };
+}
+
+export { TRACK_PARSERS, TRACK_FILE_EXTENSIONS, detectTrackParser, parseTrackFile, parseGPX };
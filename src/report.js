@@ -0,0 +1,247 @@
+// --- Informe de sesión (PNG y PDF), generado en el navegador ---
+// Se dibuja todo sobre un canvas A4 a 150 ppp; el PDF es una página con ese canvas como JPEG.
+
+import { tileUrl } from "./mapSettings.js";
+
+const PAGE = { width: 1240, height: 1754, margin: 60 };
+const TILE_SIZE = 256;
+
+function loadImage(src) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.crossOrigin = "anonymous";
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error(`No se pudo cargar ${src.slice(0, 60)}`));
+    img.src = src;
+  });
+}
+
+// Coordenadas de píxel Web Mercator a un zoom dado
+function mercatorPixel(lat, lon, zoom) {
+  const scale = TILE_SIZE * 2 ** zoom;
+  const sin = Math.sin((lat * Math.PI) / 180);
+  return [
+    ((lon + 180) / 360) * scale,
+    (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * scale,
+  ];
+}
+
+// Mapa de fondo con teselas de la capa base elegida y el heatmap encima, ajustado a rect.
+// bounds / overlayBounds: { south, west, north, east }; sin tileTemplate queda el fondo liso
+async function drawMapHeatmap(ctx, rect, bounds, overlayUrl, overlayBounds, tileTemplate) {
+  let zoom = 19;
+  while (zoom > 1) {
+    const [x0, y0] = mercatorPixel(bounds.north, bounds.west, zoom);
+    const [x1, y1] = mercatorPixel(bounds.south, bounds.east, zoom);
+    if (x1 - x0 <= rect.width && y1 - y0 <= rect.height) break;
+    zoom--;
+  }
+  const [cx0, cy0] = mercatorPixel(bounds.north, bounds.west, zoom);
+  const [cx1, cy1] = mercatorPixel(bounds.south, bounds.east, zoom);
+  // Origen (en píxeles del mundo) de la esquina superior izquierda de rect
+  const originX = (cx0 + cx1) / 2 - rect.width / 2;
+  const originY = (cy0 + cy1) / 2 - rect.height / 2;
+
+  ctx.save();
+  ctx.beginPath();
+  ctx.rect(rect.x, rect.y, rect.width, rect.height);
+  ctx.clip();
+  ctx.fillStyle = "#e9ecef";
+  ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+
+  const tiles = [];
+  for (let tx = Math.floor(originX / TILE_SIZE); tileTemplate && tx * TILE_SIZE < originX + rect.width; tx++) {
+    for (let ty = Math.floor(originY / TILE_SIZE); ty * TILE_SIZE < originY + rect.height; ty++) {
+      const url = tileUrl(tileTemplate, zoom, tx, ty);
+      tiles.push(loadImage(url).then(
+        (img) => ctx.drawImage(img, rect.x + tx * TILE_SIZE - originX, rect.y + ty * TILE_SIZE - originY),
+        () => null // Sin conexión: queda el fondo liso
+      ));
+    }
+  }
+  await Promise.all(tiles);
+
+  if (overlayUrl) {
+    const img = await loadImage(overlayUrl);
+    const [ox0, oy0] = mercatorPixel(overlayBounds.north, overlayBounds.west, zoom);
+    const [ox1, oy1] = mercatorPixel(overlayBounds.south, overlayBounds.east, zoom);
+    ctx.drawImage(img, rect.x + ox0 - originX, rect.y + oy0 - originY, ox1 - ox0, oy1 - oy0);
+  }
+  ctx.restore();
+}
+
+// SVG ya armado (la cancha con su heatmap) escalado dentro de rect manteniendo proporción
+async function drawSvgHeatmap(ctx, rect, svgMarkup, aspect) {
+  const url = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svgMarkup)}`;
+  const img = await loadImage(url);
+  let width = rect.width;
+  let height = width / aspect;
+  if (height > rect.height) {
+    height = rect.height;
+    width = height * aspect;
+  }
+  ctx.drawImage(img, rect.x + (rect.width - width) / 2, rect.y + (rect.height - height) / 2, width, height);
+}
+
+// Velocidad vs. tiempo, con las mismas convenciones que el gráfico del análisis
+function drawSpeedChart(ctx, rect, series, formatTime) {
+  const pad = { left: 70, right: 20, top: 20, bottom: 60 };
+  const plot = {
+    x: rect.x + pad.left,
+    y: rect.y + pad.top,
+    width: rect.width - pad.left - pad.right,
+    height: rect.height - pad.top - pad.bottom,
+  };
+  if (series.length < 2) return;
+  const t0 = series[0].elapsedSeconds;
+  const t1 = series[series.length - 1].elapsedSeconds;
+  const maxSpeed = Math.max(5, Math.ceil(Math.max(...series.map((p) => p.speed)) / 5) * 5);
+  const px = (t) => plot.x + ((t - t0) / Math.max(1, t1 - t0)) * plot.width;
+  const py = (v) => plot.y + plot.height - (v / maxSpeed) * plot.height;
+
+  ctx.save();
+  ctx.font = "20px sans-serif";
+  ctx.fillStyle = "#6c757d";
+  ctx.strokeStyle = "#dee2e6";
+  ctx.lineWidth = 1;
+  ctx.setLineDash([6, 6]);
+  for (let v = 0; v <= maxSpeed; v += 5) {
+    ctx.beginPath();
+    ctx.moveTo(plot.x, py(v));
+    ctx.lineTo(plot.x + plot.width, py(v));
+    ctx.stroke();
+    ctx.textAlign = "right";
+    ctx.fillText(String(v), plot.x - 10, py(v) + 7);
+  }
+  ctx.setLineDash([]);
+  ctx.textAlign = "center";
+  for (let i = 0; i <= 6; i++) {
+    const t = t0 + ((t1 - t0) * i) / 6;
+    ctx.fillText(formatTime(t), px(t), plot.y + plot.height + 30);
+  }
+  ctx.fillText("Tiempo (min:seg)", plot.x + plot.width / 2, rect.y + rect.height - 2);
+  ctx.save();
+  ctx.translate(rect.x + 18, plot.y + plot.height / 2);
+  ctx.rotate(-Math.PI / 2);
+  ctx.fillText("Velocidad (km/h)", 0, 0);
+  ctx.restore();
+
+  // Submuestreo: no hace falta más de un punto por píxel
+  const step = Math.max(1, Math.floor(series.length / plot.width));
+  ctx.strokeStyle = "#8884d8";
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  for (let i = 0; i < series.length; i += step) {
+    const p = series[i];
+    if (i === 0) ctx.moveTo(px(p.elapsedSeconds), py(p.speed));
+    else ctx.lineTo(px(p.elapsedSeconds), py(p.speed));
+  }
+  ctx.stroke();
+  ctx.restore();
+}
+
+// report: { title, subtitle, stats: [{ label, value }], heatmap: { type: "map"|"svg", ... },
+//           series, formatTime }
+async function buildReportCanvas(report) {
+  const canvas = document.createElement("canvas");
+  canvas.width = PAGE.width;
+  canvas.height = PAGE.height;
+  const ctx = canvas.getContext("2d");
+  const { margin } = PAGE;
+  const contentWidth = PAGE.width - 2 * margin;
+
+  ctx.fillStyle = "#fff";
+  ctx.fillRect(0, 0, PAGE.width, PAGE.height);
+  ctx.fillStyle = "#212529";
+  ctx.font = "bold 40px sans-serif";
+  ctx.fillText(report.title, margin, 100);
+  ctx.fillStyle = "#6c757d";
+  ctx.font = "24px sans-serif";
+  ctx.fillText(report.subtitle, margin, 145);
+
+  const boxWidth = (contentWidth - 20 * (report.stats.length - 1)) / report.stats.length;
+  report.stats.forEach((stat, idx) => {
+    const x = margin + idx * (boxWidth + 20);
+    ctx.strokeStyle = "#dee2e6";
+    ctx.lineWidth = 2;
+    ctx.strokeRect(x, 180, boxWidth, 100);
+    ctx.fillStyle = "#6c757d";
+    ctx.font = "20px sans-serif";
+    ctx.fillText(stat.label, x + 16, 215);
+    ctx.fillStyle = "#212529";
+    ctx.font = "bold 32px sans-serif";
+    ctx.fillText(stat.value, x + 16, 262);
+  });
+
+  const heatmapRect = { x: margin, y: 320, width: contentWidth, height: 760 };
+  const { heatmap } = report;
+  if (heatmap.type === "svg") {
+    await drawSvgHeatmap(ctx, heatmapRect, heatmap.svgMarkup, heatmap.aspect);
+  } else {
+    await drawMapHeatmap(
+      ctx, heatmapRect, heatmap.bounds, heatmap.overlayUrl, heatmap.overlayBounds, heatmap.tileUrl
+    );
+  }
+
+  drawSpeedChart(ctx, { x: margin, y: 1120, width: contentWidth, height: 560 }, report.series, report.formatTime);
+  return canvas;
+}
+
+function canvasToBlob(canvas, type, quality) {
+  return new Promise((resolve) => canvas.toBlob(resolve, type, quality));
+}
+
+// PDF mínimo de una página A4 con el canvas como imagen JPEG (DCTDecode)
+async function canvasToPdfBlob(canvas) {
+  const jpeg = new Uint8Array(await (await canvasToBlob(canvas, "image/jpeg", 0.92)).arrayBuffer());
+  const pageWidth = 595.28; // A4 en puntos
+  const pageHeight = 841.89;
+  const content = `q ${pageWidth} 0 0 ${pageHeight} 0 0 cm /Im0 Do Q`;
+  const encoder = new TextEncoder();
+  const objects = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    "<< /Type /Pages /Kids [3 0 R] /Count 1 >>",
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] ` +
+      "/Resources << /XObject << /Im0 4 0 R >> >> /Contents 5 0 R >>",
+    [`<< /Type /XObject /Subtype /Image /Width ${canvas.width} /Height ${canvas.height} ` +
+      `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${jpeg.length} >>\nstream\n`, jpeg, "\nendstream"],
+    `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+  ];
+
+  const parts = [encoder.encode("%PDF-1.4\n")];
+  let offset = parts[0].length;
+  const offsets = [];
+  objects.forEach((obj, idx) => {
+    offsets.push(offset);
+    const chunks = [`${idx + 1} 0 obj\n`, ...(Array.isArray(obj) ? obj : [obj]), "\nendobj\n"]
+      .map((c) => (typeof c === "string" ? encoder.encode(c) : c));
+    chunks.forEach((c) => {
+      parts.push(c);
+      offset += c.length;
+    });
+  });
+  const xref = [
+    "xref",
+    `0 ${objects.length + 1}`,
+    "0000000000 65535 f ",
+    ...offsets.map((o) => `${String(o).padStart(10, "0")} 00000 n `),
+    "trailer",
+    `<< /Size ${objects.length + 1} /Root 1 0 R >>`,
+    "startxref",
+    String(offset),
+    "%%EOF",
+  ].join("\n");
+  parts.push(encoder.encode(xref));
+  return new Blob(parts, { type: "application/pdf" });
+}
+
+function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+export { buildReportCanvas, canvasToBlob, canvasToPdfBlob, downloadBlob };
@@ -0,0 +1,63 @@
+// --- Archivo de sesión portable ---
+// Un documento JSON (opcionalmente gzip) con los datos crudos y todas las decisiones del
+// análisis, para pasar una sesión ya preparada a otra persona.
+
+import { toStoredSession } from "./sessionStore.js";
+
+const SESSION_FILE_FORMAT = "futbol-heatmap-session";
+const SESSION_FILE_VERSION = 1;
+const SESSION_FILE_EXTENSIONS = [".json", ".gz"];
+
+const canGzip = typeof CompressionStream !== "undefined";
+
+async function gzip(bytes, mode) {
+  const stream = new Blob([bytes]).stream().pipeThrough(
+    mode === "compress" ? new CompressionStream("gzip") : new DecompressionStream("gzip")
+  );
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// Documento listo para descargar: { blob, extension } (gzip solo si el navegador lo soporta)
+async function sessionFileBlob(session, compressed = false) {
+  const record = toStoredSession(session);
+  delete record.open; // Al importar se abre siempre
+  const doc = {
+    format: SESSION_FILE_FORMAT,
+    version: SESSION_FILE_VERSION,
+    exportedAt: new Date().toISOString(),
+    session: record,
+  };
+  const json = new TextEncoder().encode(JSON.stringify(doc));
+  return compressed && canGzip
+    ? { blob: new Blob([await gzip(json, "compress")], { type: "application/gzip" }), extension: ".fhs.json.gz" }
+    : { blob: new Blob([json], { type: "application/json" }), extension: ".fhs.json" };
+}
+
+// Registro de sesión (el mismo formato que la persistencia) o null si el archivo no es un
+// documento de sesión; así un .json de GeoJSON sigue su camino hacia los parsers de tracks.
+async function readSessionFile(file) {
+  let bytes = new Uint8Array(await file.arrayBuffer());
+  if (bytes[0] === 0x1f && bytes[1] === 0x8b) {
+    if (!canGzip) throw new Error("El navegador no puede descomprimir gzip");
+    bytes = await gzip(bytes, "decompress");
+  }
+  const text = new TextDecoder().decode(bytes);
+  if (text.trimStart()[0] !== "{") return null;
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch {
+    return null;
+  }
+  if (!doc || doc.format !== SESSION_FILE_FORMAT) return null;
+  if (doc.version > SESSION_FILE_VERSION) {
+    throw new Error(`Versión de archivo de sesión no soportada: ${doc.version}`);
+  }
+  const record = doc.session;
+  if (!record || !Array.isArray(record.rawPoints) || !record.rawPoints.length) {
+    throw new Error("El archivo de sesión no tiene puntos");
+  }
+  return record;
+}
+
+export { SESSION_FILE_EXTENSIONS, canGzip, sessionFileBlob, readSessionFile };
@@ -0,0 +1,82 @@
+// --- Persistencia de sesiones en IndexedDB ---
+// Se guardan los datos crudos y las decisiones del usuario; lo derivado (puntos filtrados,
+// velocidades, overlay) se recalcula al abrir la sesión.
+
+const DB_NAME = "futbol-heatmap";
+const DB_VERSION = 1;
+const STORE = "sessions";
+
+// Campos de la sesión que se persisten tal cual
+const STORED_FIELDS = [
+  "id", "fileName", "format", "startTime", "center", "params", "rawPoints", "filter",
+  "segments", "selectedSegmentIdx", "pitch", "view", "place", "detectedPhases",
+  "zoneGrid", "events", "dropped",
+];
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE, { keyPath: "id" });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return dbPromise;
+}
+
+// Ejecuta fn sobre el object store y resuelve con el resultado del request
+async function withStore(mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const request = fn(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(request ? request.result : undefined);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+// Registro persistible; open indica si la sesión estaba abierta al cerrar la página
+function toStoredSession(session, open = true) {
+  const record = { open };
+  for (const field of STORED_FIELDS) record[field] = session[field];
+  return record;
+}
+
+// Si el contenido persistible es el mismo. rawPoints no cambia nunca de identidad (solo se
+// reemplaza con otra sesión), así que se compara por referencia en vez de serializarlo.
+function sameStoredContent(a, b) {
+  return STORED_FIELDS.every((field) =>
+    a[field] === b[field] || (field !== "rawPoints" && JSON.stringify(a[field]) === JSON.stringify(b[field]))
+  );
+}
+
+function putStoredSession(record) {
+  return withStore("readwrite", (store) => store.put(record));
+}
+
+function getStoredSessions() {
+  return withStore("readonly", (store) => store.getAll());
+}
+
+function getStoredSession(id) {
+  return withStore("readonly", (store) => store.get(id));
+}
+
+function deleteStoredSession(id) {
+  return withStore("readwrite", (store) => store.delete(id));
+}
+
+export {
+  STORED_FIELDS,
+  toStoredSession,
+  sameStoredContent,
+  putStoredSession,
+  getStoredSessions,
+  getStoredSession,
+  deleteStoredSession,
+};